@@ -5,9 +5,34 @@
  *  - Group Pace (simple weekly OTB vs target)
  *  - Lead Conversion (won / qualified)
  *  - RFP/LNR Wins (counts + roomnights)
- *  - Top-20 Account Production (roomnights/revenue)
+ *  - Top-20 Account Production (roomnights/revenue) vs contracts: LNR compliance, YTD commitment, YoY
  *  - Channel Mix (revenue & acquisition cost)
+ *  - Loyalty: member tier mix by segment, points cost on qualifying revenue, reward nights (reimbursement + displacement)
+ *  - Channel cost models: % take, per-booking and per-night fees, volume tiers -> net ADR + cost per booking
  *  - GOP, GOPPAR, Flow-through
+ *  - Calendar keyed by ISO stay date over a configurable horizon
+ *  - Capacity enforcement with overbooking allowance + denials (turnaway) log
+ *  - Reservation ledger (book / confirm / modify / cancel / no-show / check-out)
+ *  - Group blocks: cutoff release, pickup vs block, attrition penalties
+ *  - Booking-date pace: OTB as of any snapshot, pickup between snapshots, STLY
+ *  - Night audit: close the business date (no-shows, early departures, check-outs), freeze KPIs, roll forward
+ *  - Rate-plan catalogue per hotel (BAR pricing, LOS / CTA / AP restrictions, cancel policy)
+ *  - Segment / channel validation (strict or lenient) + parent-segment rollups
+ *  - Nights / gross / net / ADR for every rollup + cross-tabs (e.g. segment x channel)
+ *  - Demand forecasting (day-of-week + pickup curve) with MAPE backtests by horizon
+ *  - RM optimizer: GOP-maximising BAR + minLOS recommendations from segment elasticities
+ *  - Departmental (USALI-style) P&L per hotel: rooms, breakfast, undistributed, fees, GOP
+ *  - LOS-aware housekeeping (cadence from arrival, long-stay tiers) + LOS mix cost report
+ *  - STR-style comp benchmarking: MPI / ARI / RGI by day, week, weekpart, segment + rank, fair share
+ *  - Reservation import from PMS / channel-manager CSV or JSON exports (code mapping, line-numbered errors)
+ *  - Portfolio of hotels + comp sets: key-weighted comp blend, brand / market groups, shared accounts
+ *  - Sales funnel: lead stages with dates / owner / lost reasons, conversion, cycle time, win rates, weighted pipeline
+ *  - Won leads convert to blocks / stays on their hotel (by property code), linked + reconciled to production
+ *  - Group displacement: displaced transient profit, ancillary spend, commission -> min rate + go / no-go
+ *  - CLI: metrics / pace / pipeline / inspect-day / compare-scenarios / import, JSON config, exit codes
+ *  - Report export: structured report object -> JSON, per-table CSV, self-contained HTML (daily / monthly)
+ *  - Monte Carlo: seeded trials of demand (mean / sd by weekday + segment), cancels, no-shows -> P10/P50/P90
+ *  - Scenario engine: named what-if op lists on cloned portfolios, compared on ΔRev / ΔGOP / RGI / displacement
  *
  * Notes:
  *  - This is intentionally simple; numbers are illustrative.
@@ -15,25 +40,63 @@
  */
 
 /////////////////////////// UTIL ///////////////////////////
-const DAYS = 30; // 30-day period
+const DAYS = 30; // default horizon (days) for a Hotel calendar
+const START_DATE = "2025-09-01"; // default first stay date of the horizon
 const WEEKS_AHEAD = 4; // for pace
 const fmtPct = (x) => (x * 100).toFixed(1) + "%";
 const fmt$ = (x) => "$" + x.toFixed(2);
 const range = (n) => Array.from({ length: n }, (_, i) => i);
 const clone = (obj) => JSON.parse(JSON.stringify(obj));
 
+// Dates are ISO "YYYY-MM-DD" strings, handled in UTC so DST never shifts a night.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDate = (iso) => new Date(iso + "T00:00:00Z");
+const toISO = (date) => date.toISOString().slice(0, 10);
+const isISODate = (s) => typeof s === "string" && /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(toDate(s)) && toISO(toDate(s)) === s;
+const addDays = (iso, n) => toISO(new Date(toDate(iso).getTime() + n * DAY_MS));
+const daysBetween = (from, to) => Math.round((toDate(to) - toDate(from)) / DAY_MS);
+const dateRange = (from, to) => range(Math.max(0, daysBetween(from, to) + 1)).map((i) => addDays(from, i));
+const dayOfWeek = (iso) => toDate(iso).getUTCDay(); // 0=Sun ... 6=Sat
+const DOW_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const isWeekend = (iso) => {
+  const dow = dayOfWeek(iso);
+  return dow === 5 || dow === 6; // Fri and Sat nights
+};
+
 //////////////////// CHANNEL COST (commission / distribution) ////////////////////
-// Very rough illustrative "take" percentages off gross revenue
+// Very rough illustrative distribution costs per channel. Each entry is a plain % take off gross
+// room revenue, or a model combining any of:
+//   pct         share of gross room revenue (commission, loyalty assessment, merchant margin)
+//   perBooking  dollars per room booked (GDS transaction fee, voice-centre call)
+//   perNight    dollars per room night
+//   tiers       [{ from, pct }] volume tiers, ascending: the channel's live room nights over the
+//               hotel's horizon (the period) pick one tier for all its stays, whose pct adds to `pct`
+// OTA merchant vs agency: both come out as a pct of the sell rate (merchant = the OTA's markup
+// over the net rate it pays, agency = the commission billed); the merchant margin usually runs higher.
 const CHANNEL_COST = {
-  Direct: 0.00,        // walk-ins, property-direct
-  Brand: 0.03,         // brand.com + CRS cost proxy
-  GDS: 0.08,           // negotiated business via GDS
-  OTA: 0.15,           // OTA commission
-  LNR: 0.02,           // local negotiated (small cost proxy)
+  Direct: 0.00,                                   // walk-ins, property-direct
+  Brand: { pct: 0.03, perBooking: 4 },            // brand.com CRS fee + loyalty assessment
+  GDS: { pct: 0.08, perBooking: 12 },             // travel-agent commission + GDS transaction fee
+  OTA: { tiers: [{ from: 0, pct: 0.18 }, { from: 500, pct: 0.15 }] }, // agency commission, lower past 500 room nights
+  LNR: 0.02,                                      // local negotiated (small cost proxy)
+  Voice: { pct: 0.01, perBooking: 11 },           // reservations call centre: fee per call that books
+  Wholesale: 0.20,                                // wholesaler / bedbank margin
+  Other: 0.00,
 };
+const CHANNEL_MODEL_KEYS = ["pct", "perBooking", "perNight", "tiers"];
+
+// A CHANNEL_COST entry as a model ({ pct, perBooking, perNight, tiers }); a number is { pct }
+function channelCostModel(spec, label = "channel") {
+  if (typeof spec === "number") return { pct: spec };
+  if (spec == null || typeof spec !== "object") throw new TypeError(`${label}: channel cost must be a number or a model, got ${spec}`);
+  const unknown = Object.keys(spec).filter((k) => !CHANNEL_MODEL_KEYS.includes(k));
+  if (unknown.length) throw new TypeError(`${label}: unknown channel cost field(s) ${unknown.join(", ")} (use ${CHANNEL_MODEL_KEYS.join(", ")})`);
+  if (spec.tiers?.some((t, i) => i && t.from < spec.tiers[i - 1].from)) throw new RangeError(`${label}: channel cost tiers must ascend by "from"`);
+  return spec;
+}
 
 
-const ALLOWED_CHANNELS = ["Direct","Brand","GDS","OTA","Voice","Wholesale","LNR"];
+const ALLOWED_CHANNELS = ["Direct","Brand","GDS","OTA","Voice","Wholesale","LNR","Other"];
 const ALLOWED_SEGMENTS = [
   "Corporate","Leisure","Government",
   "Group","SMERF","Sports",
@@ -56,17 +119,95 @@ const SEGMENT_PARENT = {
   Other: "Other"
 };
 
+// Check a stay's or lead's segment / channel against ALLOWED_SEGMENTS / ALLOWED_CHANNELS.
+// mode "strict" throws on the first unknown code; "lenient" maps unknowns to "Other".
+// Returns { record, remapped } where remapped holds the original unknown codes by field.
+function validateCodes(record, mode = "strict", label = "stay") {
+  if (mode !== "strict" && mode !== "lenient") throw new TypeError(`unknown validation mode "${mode}"`);
+  const out = { ...record };
+  const remapped = {};
+  for (const [field, allowed] of [["segment", ALLOWED_SEGMENTS], ["channel", ALLOWED_CHANNELS]]) {
+    if (!(field in out) || allowed.includes(out[field])) continue;
+    if (mode === "strict") throw new TypeError(`${label}: unknown ${field} "${out[field]}" (allowed: ${allowed.join(", ")})`);
+    remapped[field] = out[field];
+    out[field] = "Other";
+  }
+  return { record: out, remapped };
+}
+
+// Rollup cell for every dimension (segment, channel, account, rate plan):
+// room nights, gross revenue, net revenue after channel cost (CHANNEL_COST) and rooms booked
+// (spread evenly over the stay's nights, like its per-booking cost, so part of a stay counts part of a booking)
+const emptyCell = () => ({ nights: 0, revenue: 0, net: 0, bookings: 0 });
+
+function addToCell(map, key, nights, revenue, net, bookings = 0) {
+  const cell = (map[key] ||= emptyCell());
+  cell.nights  += nights;
+  cell.revenue += revenue;
+  cell.net     += net;
+  cell.bookings += bookings;
+  return cell;
+}
+
+// map[key] += n
+const addTo = (map, key, n) => { map[key] = (map[key] || 0) + n; return map; };
+
+// Add gross and net ADR, channel cost and acquisition cost per booking to every cell of a rollup map (in place)
+function withAdr(map) {
+  for (const v of Object.values(map)) {
+    v.adr = v.nights ? v.revenue / v.nights : 0;
+    v.netAdr = v.nights ? v.net / v.nights : 0;
+    v.cost = v.revenue - v.net;
+    v.acquisitionCost = v.bookings ? v.cost / v.bookings : 0;
+  }
+  return map;
+}
+
+// Roll a { segment -> cell } map up to SEGMENT_PARENT buckets
+function rollupByParent(bySegment) {
+  const out = {};
+  for (const [seg, v] of Object.entries(bySegment)) {
+    addToCell(out, SEGMENT_PARENT[seg] ?? "Other", v.nights, v.revenue, v.net, v.bookings);
+  }
+  return withAdr(out);
+}
+
 
 //////////////////// COST MODELS (estimates) ////////////////////
-// Variable cost per occupied room night; fixed cost per day.
+// Departmental cost model per brand (USALI-style), in dollars:
+//  rooms:          checkout / stayover clean cost, stayover service every N nights,
+//                  guest supplies per occupied room, fixed front office + HK supervision per day;
+//                  optional losTiers override any of those by the stay's length (highest minNights that fits)
+//  breakfast:      complimentary breakfast cost per guest, guests per occupied room, fixed per day
+//  undistributed:  A&G, sales & marketing, maintenance (POM) and utilities per day, utilities per occupied room
+//  fees:           franchise / royalty + brand programme % of rooms revenue, management fee % of total revenue
+// Each Hotel takes COST_MODEL[flag] unless given its own `costModel`; unknown flags use DEFAULT.
 const COST_MODEL = {
-  FFI: { varPOR: 35, fixedPerDay: 3000 }, // Fairfield: breakfast + daily HK
-  TPS: { varPOR: 22, fixedPerDay: 2500 }, // TownePlace: extended stay, weekly HK
+  FFI: { // Fairfield: hot breakfast + daily HK
+    rooms: { checkoutClean: 26, stayoverClean: 16, stayoverEveryNights: 1, suppliesPOR: 5, fixedPerDay: 1100 },
+    breakfast: { costPerGuest: 5.5, guestsPerRoom: 1.5, fixedPerDay: 180 },
+    undistributed: { adminPerDay: 650, salesPerDay: 450, maintenancePerDay: 380, utilitiesPerDay: 420, utilitiesPOR: 3.5 },
+    fees: { franchisePct: 0.10, managementPct: 0.03 },
+  },
+  TPS: { // TownePlace: extended stay, weekly HK
+    rooms: {
+      checkoutClean: 32, stayoverClean: 22, stayoverEveryNights: 7, suppliesPOR: 3, fixedPerDay: 900,
+      losTiers: [
+        { label: "1-6 nights", minNights: 1, suppliesPOR: 4 },
+        { label: "7-29 nights", minNights: 7 },
+        { label: "30+ nights", minNights: 30, stayoverClean: 18, checkoutClean: 45, suppliesPOR: 2 }, // lighter weekly service, deep clean out
+      ],
+    },
+    breakfast: { costPerGuest: 4.5, guestsPerRoom: 1.2, fixedPerDay: 100 },
+    undistributed: { adminPerDay: 550, salesPerDay: 400, maintenancePerDay: 350, utilitiesPerDay: 380, utilitiesPOR: 4.5 },
+    fees: { franchisePct: 0.09, managementPct: 0.03 },
+  },
 };
+COST_MODEL.DEFAULT = COST_MODEL.FFI; // generic select-service profile
 
 const RATEPLAN_VALUE_ADD = {
   BAR: 0,            // Best Available Rate (flex)
-  MEMBER: 0,         // Member rate
+  MEMBER: 0,         // Member rate (points costs: see LOYALTY_PROGRAM)
   AP: 0,             // Advance Purchase
   LNR: 0,            // Local Negotiated Rate
   PKG_BKFST: 8,      // package incl. breakfast
@@ -74,87 +215,718 @@ const RATEPLAN_VALUE_ADD = {
   PKG_BKFST_PARK: 18 // package incl. both
 };
 
+// Rate-plan catalogue defaults; every Hotel gets its own copy (see Hotel.addRatePlan).
+// Price: fixed `rate`, or BAR * (1 - barDiscount) + barOffset.
+// Restrictions: minLOS / maxLOS (nights), closedToArrival (ISO dates), advancePurchaseDays.
+// cancelPolicy: "nonRefundable", or { deadlineDays, penaltyNights } charged when cancelled
+// inside the deadline and on every no-show.
+// yielded: daily stay controls (Hotel.setStayControls) apply; false for negotiated / group / contract plans.
+const DEFAULT_RATE_PLANS = {
+  BAR:            {},
+  MEMBER:         { barDiscount: 0.05 },
+  AP:             { barDiscount: 0.15, advancePurchaseDays: 14, cancelPolicy: "nonRefundable" },
+  LNR:            { barDiscount: 0.10, yielded: false },
+  CORP:           { barDiscount: 0.08 },
+  CORP_NEGOTIATED:{ barDiscount: 0.12, yielded: false },
+  PKG_BKFST:      { barOffset: 15 },
+  PKG_PARK:       { barOffset: 20 },
+  PKG_BKFST_PARK: { barOffset: 32 },
+  RELO:           { barDiscount: 0.15, minLOS: 7, cancelPolicy: { deadlineDays: 7, penaltyNights: 2 }, yielded: false },
+  PROJECT:        { barDiscount: 0.15, minLOS: 7, cancelPolicy: { deadlineDays: 7, penaltyNights: 2 }, yielded: false },
+  GROUP:          { barDiscount: 0.10, cancelPolicy: { deadlineDays: 30, penaltyNights: 1 }, yielded: false },
+  GROUP_SPORTS:   { barDiscount: 0.05, cancelPolicy: { deadlineDays: 14, penaltyNights: 1 }, yielded: false },
+  LOS7:           { barDiscount: 0.10, minLOS: 7, cancelPolicy: { deadlineDays: 3, penaltyNights: 1 } },  // long-stay tier: 7+ nights
+  LOS30:          { barDiscount: 0.20, minLOS: 30, cancelPolicy: { deadlineDays: 7, penaltyNights: 2 } }, // long-stay tier: 30+ nights
+  REWARD:         { yielded: false, cancelPolicy: { deadlineDays: 1, penaltyNights: 0 } }, // points redemption (Hotel.redeemRewardNights)
+};
+
+// Fill in a rate plan's defaults
+const makeRatePlan = (code, spec = {}) => ({
+  code,
+  rate: null,
+  barDiscount: 0,
+  barOffset: 0,
+  minLOS: 1,
+  maxLOS: null,
+  closedToArrival: [],
+  advancePurchaseDays: 0,
+  cancelPolicy: { deadlineDays: 1, penaltyNights: 1 },
+  valueAdd: RATEPLAN_VALUE_ADD[code] ?? 0, // cost per room-night
+  yielded: true,
+  ...spec,
+});
+
+//////////////////// LOYALTY (programme costs) ////////////////////
+// Brand loyalty programme as the hotel pays for it:
+//  tierMix:             share of each segment's room nights by member tier (the rest are non-members);
+//                       stays with a loyaltyTier, and MEMBER-rate stays ("Member"), use that instead
+//  pointsCostPct:       points assessment on qualifying member revenue, scaled by tierCostFactor (elite bonus points)
+//  nonQualifying:       channels / rate plans that earn no points (third-party bookings, reward stays)
+//  rewardReimbursement: what the programme pays per reward night (REWARD rate plan); reward nights
+//                       still take a room, so on nights that turned paid business away they displace it
+const LOYALTY_TIERS = ["Member", "Silver", "Gold", "Platinum"];
+const LOYALTY_PROGRAM = {
+  tierMix: {
+    Corporate: { Member: 0.25, Silver: 0.1, Gold: 0.15, Platinum: 0.15 },
+    Government: { Member: 0.25, Silver: 0.05, Gold: 0.1, Platinum: 0.05 },
+    Leisure: { Member: 0.2, Silver: 0.05, Gold: 0.05, Platinum: 0.02 },
+    Group: { Member: 0.15, Gold: 0.05 },
+    SMERF: { Member: 0.1 },
+    Sports: { Member: 0.1 },
+    Crew: { Member: 0.3, Silver: 0.1, Gold: 0.1 },
+    Project: { Member: 0.3, Silver: 0.1, Gold: 0.1 },
+    Relocation: { Member: 0.2, Gold: 0.05 },
+    ExtendedStay: { Member: 0.25, Gold: 0.05 },
+  },
+  pointsCostPct: 0.045,
+  tierCostFactor: { Member: 1, Silver: 1.1, Gold: 1.25, Platinum: 1.5 },
+  nonQualifying: { channels: ["OTA", "Wholesale"], ratePlans: ["REWARD"] },
+  rewardReimbursement: 85,
+};
+
+// { tier -> share of the stay's room nights } for a reservation (shares sum to at most 1)
+function loyaltyShares(program, res) {
+  if (res.loyaltyTier) return { [res.loyaltyTier]: 1 };
+  if (res.ratePlan === "MEMBER") return { Member: 1 };
+  return program.tierMix[res.segment] ?? {};
+}
+
 //////////////////////////// CORE CLASSES ////////////////////////////
+// Reservation lifecycle; statuses in OTB_STATUSES count on the books
+const OTB_STATUSES = ["tentative", "definite", "checked-out"];
+const STATUS_TRANSITIONS = {
+  tentative: ["definite", "cancelled", "lapsed"], // lapsed: unconfirmed hold released, no fee
+  definite: ["cancelled", "no-show", "checked-out"],
+};
+const emptyDay = () => ({
+  sold: 0,
+  revenue: 0,
+  byChannel: {}, // channel -> { nights, revenue, net }
+  byAccount: {}, // account -> { nights, revenue, net }
+  bySegment: {}, // segment -> { nights, revenue, net }
+  byRatePlan: {},   // NEW: rate plan -> { nights, revenue, net }
+  byBlock: {},      // group block id -> rooms picked up
+  groupNights: 0,
+  valueAddCost: 0,
+});
+
+// After a reservation is taken out of a day: drop the rollup entries it leaves empty and
+// clear float residue once nothing is sold, so the day matches a fresh recompute()
+function dropEmpty(c, res) {
+  for (const [map, key] of [[c.byChannel, res.channel], [c.bySegment, res.segment], [c.byAccount, res.account], [c.byRatePlan, res.ratePlan]]) {
+    if (map[key] && map[key].nights === 0) delete map[key];
+  }
+  if (res.blockId != null && c.byBlock[res.blockId] === 0) delete c.byBlock[res.blockId];
+  if (c.sold === 0) { c.revenue = 0; c.valueAddCost = 0; }
+}
+
+// A contracted group block: rooms held per night at a group rate until the cutoff date.
+// roomsPerNight is a number (flat block) or an array with one entry per night.
+// attritionPct is the shortfall the contract forgives; pickup below (1 - attritionPct) of the
+// contracted room nights is billed at the group rate once the block is released.
+class GroupBlock {
+  constructor({
+    id = null, name, account = null, arrival, roomsPerNight, nights = Array.isArray(roomsPerNight) ? roomsPerNight.length : 1,
+    rate, cutoffDate, attritionPct = 0.2, segment = "Group", channel = "Direct", ratePlan = "GROUP",
+    released = false, releasedOn = null, releasedNights = null, leadId = null,
+  }) {
+    if (!isISODate(arrival)) throw new RangeError(`${name}: arrival must be an ISO date, got ${arrival}`);
+    if (!isISODate(cutoffDate)) throw new RangeError(`${name}: cutoffDate must be an ISO date, got ${cutoffDate}`);
+    Object.assign(this, {
+      id, name, account, arrival, nights, rate, cutoffDate, attritionPct, segment, channel, ratePlan,
+      released, releasedOn, releasedNights, // releasedNights: ISO date -> rooms returned to transient
+      leadId, // SalesPipeline lead this block was converted from
+    });
+    this.roomsPerNight = Array.isArray(roomsPerNight) ? [...roomsPerNight] : range(nights).map(() => roomsPerNight);
+  }
+  get dates() { return range(this.nights).map((i) => addDays(this.arrival, i)); }
+  roomsOn(date) {
+    const i = daysBetween(this.arrival, date);
+    return i >= 0 && i < this.nights ? this.roomsPerNight[i] : 0;
+  }
+  get contractedNights() { return this.roomsPerNight.reduce((s, r) => s + r, 0); }
+}
+
 class Hotel {
-    constructor(name, rooms, flag) {
+    // Horizon: `days` stay dates starting at `startDate` (ISO), e.g. { startDate: "2025-01-01", days: 365 }
+    // Capacity: rooms + `overbook` may be sold per night; `onFull` is the default denial mode (see addStay)
+    // Rate plans: `ratePlans` extends/overrides DEFAULT_RATE_PLANS; `rateCheck` "reject" refuses stays
+    // that break a plan's restrictions, "flag" books them with the violations attached
+    constructor(name, rooms, flag, {
+        startDate = START_DATE, days = DAYS, overbook = 0, onFull = "reject", businessDate = startDate,
+        ratePlans = {}, rateCheck = "reject", validation = "strict",
+        costModel = COST_MODEL[flag] ?? COST_MODEL.DEFAULT, channelCosts = CHANNEL_COST, loyalty = LOYALTY_PROGRAM,
+    } = {}) {
+        if (!isISODate(startDate)) throw new RangeError(`${name}: startDate must be an ISO date (YYYY-MM-DD), got ${startDate}`);
         this.name = name;
         this.rooms = rooms;
         this.flag = flag; // "FFI" or "TPS"
-        this.calendar = range(DAYS).map(() => ({
-            sold: 0,
-            revenue: 0,
-            byChannel: {}, // channel -> revenue
-            byAccount: {}, // account -> { nights, revenue }
-            bySegment: {}, // segment -> nights
-            byRatePlan: {},   // NEW: revenue & nights by rate plan
-            groupNights: 0,
-            valueAddCost: 0,
-        }));
-    }
-
-  // Add a stay spanning multiple nights
-// Add a stay spanning multiple nights
+        this.startDate = startDate;
+        this.days = days;
+        this.endDate = addDays(startDate, days - 1);
+        this.overbook = overbook; // rooms we allow ourselves to sell beyond keys
+        this.onFull = onFull;
+        this.denials = []; // turnaways: { date, nights, rooms, rate, segment, channel, ratePlan, account, isGroup, deniedNights, bookingDate }
+        this.reservations = []; // ledger: { id, status, arrival, nights, rate, roomsCount, ..., blockId, leadId, bookingDate, history }
+        this.nextReservationId = 1;
+        this.blocks = []; // GroupBlock[]
+        this.businessDate = businessDate; // "today" for the books: stamps history, drives block cutoffs
+        this.auditHistory = {}; // ISO date -> KPIs frozen by nightAudit() (closed nights)
+        this.ratePlans = {}; // code -> plan (see makeRatePlan)
+        for (const [code, spec] of Object.entries({ ...DEFAULT_RATE_PLANS, ...ratePlans })) this.addRatePlan(code, spec);
+        this.rateCheck = rateCheck;
+        this.validation = validation; // segment / channel codes: "strict" throws, "lenient" maps to Other
+        this.costModel = clone(costModel); // departmental costs (see COST_MODEL)
+        this.channelCosts = { ...channelCosts }; // channel -> % take or cost model (see CHANNEL_COST)
+        for (const [ch, spec] of Object.entries(this.channelCosts)) channelCostModel(spec, `${name} ${ch}`);
+        this.channelNights = {}; // channel -> live room nights over the horizon (picks the volume tier)
+        this.costPerNight = {};  // reservation id -> channel cost per room night, set when posted
+        this.loyalty = clone(loyalty); // member tier mix, points cost, reward reimbursement (see LOYALTY_PROGRAM)
+        this.bar = {}; // ISO date -> BAR
+        this.stayControls = {}; // ISO date -> { minLOS, closedToArrival } for yielded plans
+        // ISO date -> day rollup, derived from the live reservations
+        this.calendar = Object.fromEntries(dateRange(startDate, this.endDate).map((date) => [date, emptyDay()]));
+    }
+
+  // Stay dates in the horizon, in order
+  get dates() { return Object.keys(this.calendar); }
+
+  // Resolve a stay date given as ISO string or as a day offset from startDate
+  dateOf(day) {
+    return typeof day === "number" ? addDays(this.startDate, day) : day;
+  }
+
+  // Calendar entry for a stay date; throws outside the horizon instead of dropping the night
+  dayAt(day) {
+    const date = this.dateOf(day);
+    const c = this.calendar[date];
+    if (!c) throw new RangeError(`${this.name}: ${date} is outside the horizon ${this.startDate}..${this.endDate}`);
+    return c;
+  }
+
+  // Stay dates from..to inclusive (ISO or day offsets); defaults to the whole horizon
+  datesBetween(from = this.startDate, to = this.endDate) {
+    const dates = dateRange(this.dateOf(from), this.dateOf(to));
+    dates.forEach((date) => this.dayAt(date)); // range check
+    return dates;
+  }
+
+  // [from, to] clipped to the horizon (null ends default to it); from > to when the range misses it
+  clipRange(from, to) {
+    return [
+      from == null || this.dateOf(from) < this.startDate ? this.startDate : this.dateOf(from),
+      to == null || this.dateOf(to) > this.endDate ? this.endDate : this.dateOf(to),
+    ];
+  }
+
+  // Rooms that can be sold per night, including the overbooking allowance
+  get capacity() { return this.rooms + this.overbook; }
+
+  // Sellable rooms: capacity less rooms sold and rooms still held for unreleased group blocks
+  available(day) {
+    const date = this.dateOf(day);
+    return Math.max(0, this.capacity - this.dayAt(date).sold - this.blockHeld(date));
+  }
+
+  // Contracted block rooms not yet picked up on a date (0 once the block is released)
+  blockHeld(day, except = null) {
+    const date = this.dateOf(day);
+    const c = this.dayAt(date);
+    let held = 0;
+    for (const b of this.blocks) {
+      if (b.released || b === except) continue;
+      held += Math.max(0, b.roomsOn(date) - (c.byBlock[b.id] || 0));
+    }
+    return held;
+  }
+
+  addRatePlan(code, spec = {}) {
+    this.ratePlans[code] = makeRatePlan(code, spec);
+    return this.ratePlans[code];
+  }
+
+  // Set BAR for every stay date from..to inclusive
+  setBar(from, to, rate) {
+    for (const date of this.datesBetween(from, to)) this.bar[date] = rate;
+  }
+
+  // Daily restrictions for yielded plans on every stay date from..to, e.g. { minLOS: 2 } or
+  // { closedToArrival: true }; pass {} to clear
+  setStayControls(from, to, controls) {
+    for (const date of this.datesBetween(from, to)) {
+      if (Object.keys(controls).length) this.stayControls[date] = { ...controls };
+      else delete this.stayControls[date];
+    }
+  }
+
+  // Sell rate for a plan on a stay date; null when the plan prices off BAR and none is set
+  planRate(code, day) {
+    const plan = this.ratePlans[code];
+    if (!plan) return null;
+    if (plan.rate != null) return plan.rate;
+    const bar = this.bar[this.dateOf(day)];
+    return bar == null ? null : bar * (1 - plan.barDiscount) + plan.barOffset;
+  }
+
+  // Restrictions a prospective stay breaks: [{ rule, message }]
+  checkRatePlan({ arrival, nights, ratePlan, bookingDate }) {
+    const plan = this.ratePlans[ratePlan];
+    if (!plan) return [{ rule: "unknown-plan", message: `rate plan ${ratePlan} is not in the catalogue` }];
+    const violations = [];
+    if (nights < plan.minLOS) violations.push({ rule: "min-los", message: `${ratePlan} needs ${plan.minLOS}+ nights, got ${nights}` });
+    if (plan.maxLOS != null && nights > plan.maxLOS) violations.push({ rule: "max-los", message: `${ratePlan} allows at most ${plan.maxLOS} nights, got ${nights}` });
+    if (plan.closedToArrival.includes(arrival)) violations.push({ rule: "cta", message: `${ratePlan} is closed to arrival on ${arrival}` });
+    if (plan.yielded) {
+      // a daily minLOS counts from any night of the stay; CTA only on the arrival night
+      const nightly = range(nights).map((i) => this.stayControls[addDays(arrival, i)]).filter(Boolean);
+      const minLOS = Math.max(0, ...nightly.map((c) => c.minLOS || 0));
+      if (nights < minLOS) violations.push({ rule: "min-los", message: `stay dates need ${minLOS}+ nights, got ${nights}` });
+      if (this.stayControls[arrival]?.closedToArrival) violations.push({ rule: "cta", message: `closed to arrival on ${arrival}` });
+    }
+    const lead = daysBetween(bookingDate, arrival);
+    if (lead < plan.advancePurchaseDays) violations.push({ rule: "advance-purchase", message: `${ratePlan} must be booked ${plan.advancePurchaseDays}+ days out, booked ${lead}` });
+    return violations;
+  }
+
+  // Fee for moving `res` to status "cancelled" or "no-show" under its plan policy, as of `at`.
+  // The deadline only excuses cancellations; a no-show always pays.
+  penaltyFee(res, at, status = "cancelled") {
+    const policy = this.ratePlans[res.ratePlan]?.cancelPolicy;
+    if (!policy) return 0;
+    if (policy === "nonRefundable") return res.roomsCount * res.nights * res.rate;
+    if (status === "cancelled" && daysBetween(at, res.arrival) >= policy.deadlineDays) return 0;
+    return res.roomsCount * Math.min(res.nights, policy.penaltyNights) * res.rate;
+  }
+
+// Add a stay spanning multiple nights; `day` is the arrival (ISO date or day offset)
+// Capacity: onFull "reject" turns the whole request away if any night is short,
+// "partial" books as many rooms as fit every night and denies the rest.
+// Rate plan: `rate` defaults to the plan's average rate over the stay; restrictions are checked per
+// `rateCheck` ("reject" books nothing, "flag" keeps the violations on the reservation).
+// Books a reservation in the ledger and posts it to the calendar.
+// nights / roomsCount must be positive integers (RangeError). A turned-away stay has id null, with the
+// short nights in deniedNights or, under rateCheck "reject", the broken rules in violations.
+// Returns { id, roomsBooked, roomsDenied, deniedNights: [{ date, requested, available }], violations }
 addStay({
   day,
   nights,
-  rate,
+  rate = null,
   roomsCount = 1,
-  segment = "Transient",
+  segment = "Other",
   channel = "Direct",
   account = null,
   isGroup = false,
   ratePlan = "BAR",
   valueAddCost = null, // optional override: per-room, per-night cost for this stay
+  onFull = this.onFull,
+  status = "definite", // or "tentative"
+  bookingDate = this.businessDate, // when the booking was made (drives pace / pickup)
+  blockId = null,      // pick up against a GroupBlock (uses its held rooms first)
+  leadId = null,       // SalesPipeline lead this stay was converted from
+  loyaltyTier = null,  // known member tier (LOYALTY_TIERS); otherwise the segment's tierMix applies
+  rateCheck = this.rateCheck,
+  validation = this.validation,
 }) {
-  for (let d = day; d < Math.min(DAYS, day + nights); d++) {
-    const soldAdd = roomsCount;
-    const revAdd  = roomsCount * rate;
-    const c = this.calendar[d];
+  for (const [k, v] of Object.entries({ nights, roomsCount })) {
+    if (!Number.isInteger(v) || v < 1) throw new RangeError(`${this.name}: ${k} must be a positive integer, got ${v}`);
+  }
+  const arrival = this.dateOf(day);
+  const closed = this.closedNights(arrival, nights);
+  if (closed.length) throw new RangeError(`${this.name}: ${closed.join(", ")} closed (night audit)`);
+  if (onFull !== "reject" && onFull !== "partial") throw new TypeError(`${this.name}: unknown onFull mode "${onFull}"`);
+  if (rateCheck !== "reject" && rateCheck !== "flag") throw new TypeError(`${this.name}: unknown rateCheck mode "${rateCheck}"`);
+  if (!OTB_STATUSES.includes(status) || status === "checked-out") throw new TypeError(`${this.name}: cannot book a stay as "${status}"`);
+  if (loyaltyTier != null && !LOYALTY_TIERS.includes(loyaltyTier)) throw new TypeError(`${this.name}: unknown loyalty tier "${loyaltyTier}" (use ${LOYALTY_TIERS.join(", ")})`);
+  const { record: codes, remapped } = validateCodes({ segment, channel }, validation, `${this.name} stay`);
+  ({ segment, channel } = codes);
+
+  const violations = this.checkRatePlan({ arrival, nights, ratePlan, bookingDate });
+  if (violations.length && rateCheck === "reject") return { id: null, roomsBooked: 0, roomsDenied: 0, deniedNights: [], violations };
+  if (rate == null) {
+    const nightly = range(nights).map((i) => this.planRate(ratePlan, addDays(arrival, i)));
+    if (nightly.some((r) => r == null)) throw new TypeError(`${this.name}: no rate given and ${ratePlan} cannot be priced for ${arrival} (set BAR)`);
+    rate = nightly.reduce((s, r) => s + r, 0) / nights;
+  }
+
+  const block = blockId == null ? null : this.block(blockId);
+  const { deniedNights, fits } = this.checkCapacity(arrival, nights, roomsCount, { block });
+  const roomsBooked = deniedNights.length === 0 ? roomsCount : onFull === "partial" ? fits : 0;
+  const roomsDenied = roomsCount - roomsBooked;
+
+  if (roomsDenied > 0) {
+    this.denials.push({ date: arrival, nights, rooms: roomsDenied, rate, segment, channel, ratePlan, account, isGroup, deniedNights, bookingDate });
+  }
+  if (!roomsBooked) return { id: null, roomsBooked, roomsDenied, deniedNights, violations };
+
+  const res = {
+    id: this.nextReservationId++,
+    status,
+    arrival, nights, rate, roomsCount: roomsBooked,
+    segment, channel, account, isGroup, ratePlan, blockId, leadId, loyaltyTier,
+    // per-night value-add cost for packages (breakfast, parking, etc.), fixed at booking
+    valueAddCost: valueAddCost ?? this.ratePlans[ratePlan]?.valueAdd ?? 0, // dollars per room-night
+    bookingDate,
+    ...(violations.length ? { violations } : {}),
+    ...(Object.keys(remapped).length ? { remapped } : {}),
+    history: [{ at: bookingDate, action: "book", status }],
+  };
+  this.reservations.push(res);
+  this.postLive(res);
+
+  return { id: res.id, roomsBooked, roomsDenied, deniedNights, violations };
+}
+
+// Nights of a prospective stay that cannot take `roomsCount` more rooms; `fits` is the most every night can take.
+// `replacing` is a reservation whose rooms count as free (used when modifying it);
+// `block` is a GroupBlock whose unsold held rooms this stay may draw on.
+checkCapacity(arrival, nights, roomsCount, { replacing = null, block = null } = {}) {
+  const stayDates = range(nights).map((i) => addDays(arrival, i));
+  const freed = (date) => {
+    if (!replacing) return 0;
+    const i = daysBetween(replacing.arrival, date);
+    return i >= 0 && i < replacing.nights ? replacing.roomsCount : 0;
+  };
+  const fromBlock = (date) => (block ? this.blockHeld(date) - this.blockHeld(date, block) : 0);
+  // whole stay must fit the horizon
+  const avail = stayDates.map((date) => Math.max(0, this.capacity - this.dayAt(date).sold - this.blockHeld(date)) + fromBlock(date) + freed(date));
+  const deniedNights = stayDates
+    .map((date, i) => ({ date, requested: roomsCount, available: avail[i] }))
+    .filter((n) => n.available < roomsCount);
+  return { deniedNights, fits: Math.min(roomsCount, ...avail) };
+}
+
+// Add one reservation's nights into the calendar rollups; its channel cost is priced here
+// (tier at the channel's current period volume, channelNights) and kept in costPerNight.
+// sign -1 takes a posted reservation back out at the cost it was posted with.
+post(res, sign = 1) {
+  if (sign > 0) {
+    const quote = this.channelQuote(res.channel, { nights: res.nights });
+    this.costPerNight[res.id] = res.rate * quote.pct + quote.perRoomNight;
+  }
+  const costPerNight = this.costPerNight[res.id];
+  for (let i = 0; i < res.nights; i++) {
+    const c = this.dayAt(addDays(res.arrival, i));
+    const soldAdd = sign * res.roomsCount;
+    const revAdd  = soldAdd * res.rate;
+    const netAdd  = revAdd - soldAdd * costPerNight;
+    const booked  = soldAdd / res.nights;
 
     // base sales
     c.sold    += soldAdd;
     c.revenue += revAdd;
 
-    // channel & segment rollups
-    c.byChannel[channel] = (c.byChannel[channel] || 0) + revAdd;
-    c.bySegment[segment] = (c.bySegment[segment] || 0) + soldAdd;
+    // channel, segment, account and rate plan rollups
+    addToCell(c.byChannel, res.channel, soldAdd, revAdd, netAdd, booked);
+    addToCell(c.bySegment, res.segment, soldAdd, revAdd, netAdd, booked);
+    if (res.account) addToCell(c.byAccount, res.account, soldAdd, revAdd, netAdd, booked);
+    addToCell(c.byRatePlan, res.ratePlan, soldAdd, revAdd, netAdd, booked);
 
-    // account rollup
-    if (account) {
-      const a = (c.byAccount[account] ||= { nights: 0, revenue: 0 });
-      a.nights  += soldAdd;
-      a.revenue += revAdd;
-    }
+    c.valueAddCost += res.valueAddCost * soldAdd;
 
-    // rate plan rollup (track both nights and revenue)
-    const rp = (c.byRatePlan[ratePlan] ||= { nights: 0, revenue: 0 });
-    rp.nights  += soldAdd;
-    rp.revenue += revAdd;
+    // group pace rollup
+    if (res.isGroup) c.groupNights += soldAdd;
+    if (res.blockId != null) c.byBlock[res.blockId] = (c.byBlock[res.blockId] || 0) + soldAdd;
 
-    // per-night value-add cost for packages (breakfast, parking, etc.)
-    const perNightCost =
-      valueAddCost ?? RATEPLAN_VALUE_ADD[ratePlan] ?? 0; // dollars per room-night
-    c.valueAddCost += perNightCost * soldAdd;
+    if (sign < 0) dropEmpty(c, res);
+  }
+  if (sign < 0) delete this.costPerNight[res.id];
+}
 
-    // group pace rollup
-    if (isGroup) c.groupNights += soldAdd;
+// Post (sign 1) or take out (sign -1) a live reservation and move its room nights in channelNights.
+// When that moves the channel into another volume tier, its other live stays are repriced.
+postLive(res, sign = 1) {
+  const pctBefore = this.channelQuote(res.channel).pct;
+  if (sign < 0) this.post(res, -1);
+  addTo(this.channelNights, res.channel, sign * res.nights * res.roomsCount);
+  if (sign > 0) this.post(res);
+  if (this.channelQuote(res.channel).pct === pctBefore) return;
+  for (const r of this.reservations) {
+    if (r === res || r.channel !== res.channel || !OTB_STATUSES.includes(r.status)) continue;
+    this.post(r, -1);
+    this.post(r);
+  }
+}
+
+// Take `res` out and post it again after `change()` (status / shape edits) without rebuilding the calendar
+repost(res, change) {
+  if (OTB_STATUSES.includes(res.status)) this.postLive(res, -1);
+  change();
+  if (OTB_STATUSES.includes(res.status)) this.postLive(res);
+}
+
+// Rebuild every calendar rollup from the reservations still on the books
+recompute() {
+  for (const date of this.dates) this.calendar[date] = emptyDay();
+  this.channelNights = {};
+  this.costPerNight = {};
+  const live = this.reservations.filter((res) => OTB_STATUSES.includes(res.status));
+  for (const res of live) addTo(this.channelNights, res.channel, res.nights * res.roomsCount);
+  for (const res of live) this.post(res);
+}
+
+reservation(id) {
+  const res = this.reservations.find((r) => r.id === id);
+  if (!res) throw new RangeError(`${this.name}: no reservation ${id}`);
+  return res;
+}
+
+// Move a reservation to a new status; cancelled / lapsed / no-show / checked-out are final
+setStatus(id, status, { at = this.businessDate, reason = null } = {}) {
+  const res = this.reservation(id);
+  const allowed = STATUS_TRANSITIONS[res.status] || [];
+  if (!allowed.includes(status)) throw new Error(`${this.name}: reservation ${id} cannot go from ${res.status} to ${status}`);
+  const fee = status === "cancelled" || status === "no-show" ? this.penaltyFee(res, at, status) : 0;
+  res.history.push({ at, action: "status", from: res.status, status, ...(reason ? { reason } : {}), ...(fee ? { fee } : {}) });
+  this.repost(res, () => { res.status = status; });
+  if (fee) res.penaltyFee = fee;
+  return res;
+}
+
+confirm(id, opts) { return this.setStatus(id, "definite", opts); }
+cancel(id, opts) { return this.setStatus(id, "cancelled", opts); }
+lapse(id, opts) { return this.setStatus(id, "lapsed", opts); }
+noShow(id, opts) { return this.setStatus(id, "no-show", opts); }
+checkOut(id, opts) { return this.setStatus(id, "checked-out", opts); }
+
+// Book a points redemption: takes rooms like any stay, earns the programme's reward reimbursement per room night
+redeemRewardNights({ day, nights = 1, roomsCount = 1, segment = "Leisure", channel = "Direct", loyaltyTier = "Member", ...rest }) {
+  return this.addStay({ day, nights, roomsCount, segment, channel, loyaltyTier, ...rest, rate: this.loyalty.rewardReimbursement, ratePlan: "REWARD" });
+}
+
+// Shorten, extend, move or reprice a live reservation.
+// changes: any of { day, nights, rate, roomsCount, segment, channel, account, isGroup, ratePlan, valueAddCost }
+// Added rooms/nights must fit capacity; otherwise nothing changes and the short nights come back.
+// A new day / nights / ratePlan is re-checked against the rate plan per `rateCheck` ("reject" changes
+// nothing and returns the violations, "flag" keeps them on the reservation, null skips the check
+// for changes that already happened, e.g. early departures at night audit).
+// Returns { ok, deniedNights, violations }
+modify(id, changes, { at = this.businessDate, rateCheck = this.rateCheck } = {}) {
+  const res = this.reservation(id);
+  if (!OTB_STATUSES.includes(res.status) || res.status === "checked-out") {
+    throw new Error(`${this.name}: reservation ${id} is ${res.status} and cannot be modified`);
+  }
+  for (const k of ["id", "status", "history", "arrival", "bookingDate"]) {
+    if (k in changes) throw new TypeError(`${this.name}: modify() cannot change "${k}"${k === "status" ? " (use setStatus)" : k === "arrival" ? " (pass day)" : ""}`);
+  }
+  const next = { ...res, ...validateCodes(changes, this.validation, `${this.name} reservation ${id}`).record };
+  for (const k of ["nights", "roomsCount"]) {
+    if (k in changes && (!Number.isInteger(changes[k]) || changes[k] < 1)) throw new RangeError(`${this.name}: ${k} must be a positive integer, got ${changes[k]}`);
   }
+  if ("day" in changes) next.arrival = this.dateOf(changes.day);
+  delete next.day;
+  if ("ratePlan" in changes && !("valueAddCost" in changes)) next.valueAddCost = this.ratePlans[next.ratePlan]?.valueAdd ?? 0;
+
+  // nights already closed by the night audit must post exactly as before
+  const posted = (r, date) => (daysBetween(r.arrival, date) >= 0 && daysBetween(r.arrival, date) < r.nights
+    ? JSON.stringify(["roomsCount", "rate", "segment", "channel", "account", "isGroup", "ratePlan", "valueAddCost", "blockId"].map((k) => r[k])) : null);
+  const closed = [...new Set([...this.closedNights(res.arrival, res.nights), ...this.closedNights(next.arrival, next.nights)])]
+    .filter((date) => posted(res, date) !== posted(next, date));
+  if (closed.length) throw new RangeError(`${this.name}: reservation ${id} cannot change closed night(s) ${closed.join(", ")} (night audit)`);
+
+  // check the new shape as if this reservation's current rooms were already released
+  const block = next.blockId == null ? null : this.block(next.blockId);
+  const { deniedNights } = this.checkCapacity(next.arrival, next.nights, next.roomsCount, { replacing: res, block });
+  if (deniedNights.length) return { ok: false, deniedNights, violations: [] };
+
+  let violations = [];
+  if (rateCheck != null && ["day", "nights", "ratePlan"].some((k) => k in changes)) {
+    if (rateCheck !== "reject" && rateCheck !== "flag") throw new TypeError(`${this.name}: unknown rateCheck mode "${rateCheck}"`);
+    violations = this.checkRatePlan({ arrival: next.arrival, nights: next.nights, ratePlan: next.ratePlan, bookingDate: res.bookingDate });
+    if (violations.length && rateCheck === "reject") return { ok: false, deniedNights: [], violations };
+    if (violations.length) next.violations = violations;
+    else delete next.violations;
+  }
+
+  const before = {}, after = {};
+  for (const k of new Set([...Object.keys(res), ...Object.keys(next)])) {
+    if (k === "history" || next[k] === res[k]) continue;
+    before[k] = res[k];
+    after[k] = next[k];
+  }
+  this.repost(res, () => {
+    Object.assign(res, after);
+    if (!("violations" in next)) delete res.violations;
+  });
+  res.history.push({ at, action: "modify", before, after });
+  return { ok: true, deniedNights: [], violations };
+}
+
+// Contract a group block (GroupBlock or its constructor options). The held rooms must fit
+// what is still sellable; otherwise nothing is held and the short nights come back.
+// Returns { id, deniedNights }
+addBlock(spec) {
+  const block = spec instanceof GroupBlock ? spec : new GroupBlock(spec);
+  Object.assign(block, validateCodes({ segment: block.segment, channel: block.channel }, this.validation, `${this.name} block ${block.name}`).record);
+  const deniedNights = block.dates
+    .map((date) => ({ date, requested: block.roomsOn(date), available: this.available(date) }))
+    .filter((n) => n.available < n.requested);
+  if (deniedNights.length) return { id: null, deniedNights };
+
+  block.id = this.blocks.length + 1;
+  this.blocks.push(block);
+  this.releaseBlocks(); // contracted after its cutoff: nothing left to hold
+  return { id: block.id, deniedNights };
+}
+
+block(id) {
+  const b = this.blocks.find((x) => x.id === id);
+  if (!b) throw new RangeError(`${this.name}: no group block ${id}`);
+  return b;
+}
+
+// Book rooms against a block: group rate, segment, channel, account and plan default from the block
+pickupBlock(blockId, { day, nights, roomsCount = 1, ...rest } = {}) {
+  const b = this.block(blockId);
+  return this.addStay({
+    day: day ?? b.arrival,
+    nights: nights ?? b.nights - daysBetween(b.arrival, this.dateOf(day ?? b.arrival)),
+    roomsCount,
+    rate: b.rate,
+    segment: b.segment,
+    channel: b.channel,
+    account: b.account,
+    ratePlan: b.ratePlan,
+    isGroup: true,
+    leadId: b.leadId,
+    ...rest,
+    blockId,
+  });
+}
+
+// Release the unsold rooms of every block whose cutoff is on or before `asOf` back to transient
+releaseBlocks(asOf = this.businessDate) {
+  const released = [];
+  for (const b of this.blocks) {
+    if (b.released || b.cutoffDate > asOf) continue;
+    b.releasedNights = Object.fromEntries(b.dates
+      .filter((date) => date in this.calendar)
+      .map((date) => [date, this.blockHeld(date) - this.blockHeld(date, b)]));
+    b.released = true;
+    b.releasedOn = asOf;
+    released.push(b);
+  }
+  return released;
 }
 
+// Move the business date forward; blocks past cutoff release automatically
+advanceTo(date) {
+  if (date < this.businessDate) throw new RangeError(`${this.name}: business date cannot move back from ${this.businessDate} to ${date}`);
+  this.businessDate = date;
+  return this.releaseBlocks(date);
+}
+
+// Stay dates of arrival + nights already closed by nightAudit()
+closedNights(arrival, nights) {
+  return range(nights).map((i) => addDays(arrival, i)).filter((date) => this.auditHistory[date]);
+}
+
+// Close the business date (stay night D = businessDate) and roll forward to D + 1:
+//  1. tentative stays arriving D lapse (released without a cancellation fee)
+//  2. no-shows: `noShows` reservation ids, plus each arriving room with probability `noShowRate`
+//     (part of a multi-room reservation is taken off its room count; fees apply to whole no-shows)
+//  3. early departures: `earlyDepartures` ids, plus each in-house stay with probability
+//     `earlyDepartureRate`, leave on D (nights cut so night D is not stayed)
+//  4. stays departing on or before D check out (night D's in-house rooms are now actuals)
+//  5. night D's KPIs freeze into auditHistory with the movements, OTB ahead and the day's pickup
+//  6. the business date advances (blocks past cutoff release)
+// rng: () => 0..1 for the rates (default seeded by the date's offset, so replays repeat).
+// Returns the frozen record: { date, sold, revenue, netRevenue, occupancy, adr, revpar, gop, goppar,
+//   deniedNights, bySegment, arrivals, departures, noShows, earlyDepartures, lapsed, otbAhead, pickup }
+nightAudit({ noShows = [], earlyDepartures = [], noShowRate = 0, earlyDepartureRate = 0, rng = null } = {}) {
+  const date = this.businessDate;
+  this.dayAt(date); // range check
+  if (this.auditHistory[date]) throw new RangeError(`${this.name}: ${date} is already closed`);
+  rng ??= makeRng(daysBetween(this.startDate, date) + 1);
+  const at = { at: date, reason: "night audit" };
+  const live = (status) => this.reservations.filter((r) => r.status === status);
+  const departure = (r) => addDays(r.arrival, r.nights);
+  const roomsOf = (list) => list.reduce((s, r) => s + r.roomsCount, 0);
+
+  const lapsed = live("tentative").filter((r) => r.arrival <= date);
+  for (const r of lapsed) this.lapse(r.id, { ...at, reason: "night audit: tentative not confirmed" });
+
+  let noShowRooms = 0;
+  for (const r of live("definite").filter((x) => x.arrival === date)) {
+    const rooms = noShows.includes(r.id) ? r.roomsCount : binomialDraw(rng, r.roomsCount, noShowRate);
+    if (!rooms) continue;
+    if (rooms === r.roomsCount) this.noShow(r.id, at);
+    else this.modify(r.id, { roomsCount: r.roomsCount - rooms }, at);
+    noShowRooms += rooms;
+  }
+
+  const leaving = live("definite").filter((r) => r.arrival < date && departure(r) > date &&
+    (earlyDepartures.includes(r.id) || rng() < earlyDepartureRate));
+  for (const r of leaving) this.modify(r.id, { nights: daysBetween(r.arrival, date) }, { ...at, rateCheck: null });
+
+  const departing = live("definite").filter((r) => departure(r) <= date);
+  for (const r of departing) this.checkOut(r.id, at);
+
+  const m = this.metrics(date, date);
+  const last = this.endDate;
+  const ahead = (asOf) => (date < last ? this.paceReport(asOf, { from: addDays(date, 1), to: last }) : [])
+    .reduce((s, row) => ({ rooms: s.rooms + row.total.rooms, revenue: s.revenue + row.total.revenue }), { rooms: 0, revenue: 0 });
+  const otbAhead = ahead(date);
+  const before = ahead(addDays(date, -1));
+  const record = {
+    date, sold: m.sold, revenue: m.revenue, netRevenue: m.netRevenue, occupancy: m.occupancy, adr: m.adr, revpar: m.revpar,
+    gop: m.gop, goppar: m.goppar, deniedNights: m.deniedNights,
+    bySegment: Object.fromEntries(Object.entries(m.bySegment).map(([k, v]) => [k, { nights: v.nights, revenue: v.revenue }])),
+    arrivals: roomsOf(this.reservations.filter((r) => r.arrival === date && OTB_STATUSES.includes(r.status))),
+    departures: roomsOf(departing),
+    noShows: noShowRooms,
+    earlyDepartures: roomsOf(leaving),
+    lapsed: roomsOf(lapsed),
+    otbAhead, // stays after D on the books at close
+    pickup: { rooms: otbAhead.rooms - before.rooms, revenue: otbAhead.revenue - before.revenue }, // booked today for stays after D
+  };
+  this.auditHistory[date] = record;
+  this.advanceTo(addDays(date, 1));
+  return record;
+}
+
+// Pickup vs block per group. penalty is billed only once a block is released;
+// projectedPenalty is what current pickup would owe.
+blockReport(from = this.startDate, to = this.endDate) {
+  const first = this.dateOf(from), last = this.dateOf(to);
+  return this.blocks
+    .filter((b) => b.arrival >= first && b.arrival <= last)
+    .map((b) => {
+      const byNight = b.dates.map((date) => {
+        const block = b.roomsOn(date);
+        const pickedUp = this.calendar[date]?.byBlock[b.id] || 0;
+        const released = b.releasedNights?.[date] || 0;
+        return { date, block, pickedUp, released, remaining: b.released ? 0 : Math.max(0, block - pickedUp) };
+      });
+      const contracted = b.contractedNights;
+      const pickedUp = byNight.reduce((s, n) => s + Math.min(n.block, n.pickedUp), 0); // rooms over the block don't offset other nights
+      const shortfall = Math.max(0, Math.ceil(contracted * (1 - b.attritionPct)) - pickedUp);
+      const projectedPenalty = shortfall * b.rate;
+      return {
+        id: b.id, name: b.name, account: b.account, arrival: b.arrival, cutoffDate: b.cutoffDate,
+        status: b.released ? "released" : "open",
+        contracted, pickedUp, pickupPct: contracted ? pickedUp / contracted : 0,
+        released: byNight.reduce((s, n) => s + n.released, 0),
+        attritionPct: b.attritionPct, shortfall, projectedPenalty,
+        penalty: b.released ? projectedPenalty : 0,
+        byNight,
+      };
+    });
+}
 
 // One-night sale helper
 sellDay({
   day,
   sold,
   rate,
-  segment = "Transient",
+  segment = "Other",
   channel = "Direct",
   account = null,
   isGroup = false,
   ratePlan = "BAR",        // NEW
-  valueAddCost = null      // NEW (per room per night; leave null to use RATEPLAN_VALUE_ADD)
+  valueAddCost = null,     // NEW (per room per night; leave null to use the rate plan's valueAdd)
+  onFull = this.onFull
 }) {
-  this.addStay({
+  return this.addStay({
     day,
     nights: 1,
     rate,
@@ -164,111 +936,1229 @@ sellDay({
     account,
     isGroup,
     ratePlan,              // pass through
-    valueAddCost           // pass through
+    valueAddCost,          // pass through
+    onFull
   });
 }
 
 
-metrics(dayStart = 0, dayEnd = DAYS - 1) {
+// Range is inclusive; ISO dates or day offsets
+metrics(from = this.startDate, to = this.endDate) {
+  const dates = this.datesBetween(from, to);
   let sold = 0, revenue = 0;
   let byChannel = {}, byAccount = {}, bySegment = {}, byRatePlan = {};
   let groupNights = 0;
   let valueAddCost = 0; // NEW
 
-  for (let d = dayStart; d <= dayEnd; d++) {
-    const c = this.calendar[d];
+  for (const date of dates) {
+    const c = this.calendar[date];
     sold       += c.sold;
     revenue    += c.revenue;
     groupNights += c.groupNights;
     valueAddCost += c.valueAddCost; // NEW
 
-    for (const [k, v] of Object.entries(c.byChannel)) byChannel[k] = (byChannel[k] || 0) + v;
-    for (const [k, v] of Object.entries(c.bySegment)) bySegment[k] = (bySegment[k] || 0) + v;
-
-    for (const [k, v] of Object.entries(c.byAccount)) {
-      if (!byAccount[k]) byAccount[k] = { nights: 0, revenue: 0 };
-      byAccount[k].nights  += v.nights;
-      byAccount[k].revenue += v.revenue;
-    }
-    for (const [k, v] of Object.entries(c.byRatePlan || {})) {  // NEW
-      if (!byRatePlan[k]) byRatePlan[k] = { nights: 0, revenue: 0 };
-      byRatePlan[k].nights  += v.nights;
-      byRatePlan[k].revenue += v.revenue;
+    for (const [total, day] of [[byChannel, c.byChannel], [bySegment, c.bySegment], [byAccount, c.byAccount], [byRatePlan, c.byRatePlan]]) {
+      for (const [k, v] of Object.entries(day)) addToCell(total, k, v.nights, v.revenue, v.net, v.bookings);
     }
   }
+  [byChannel, bySegment, byAccount, byRatePlan].forEach(withAdr);
 
-  const nights = dayEnd - dayStart + 1;
+  const nights = dates.length;
   const roomsAvail = this.rooms * nights;
   const occupancy = roomsAvail ? sold / roomsAvail : 0;
   const adr = sold ? revenue / sold : 0;
   const revpar = roomsAvail ? revenue / roomsAvail : 0;
 
-  const netRevenue = revenue - this.channelCost(byChannel);
-  const cost = this.costs({ sold, dayCount: nights });
+  // Attrition penalties on released blocks arriving in range (outside rooms revenue / ADR)
+  const attritionRevenue = this.blockReport(from, to).reduce((s, b) => s + b.penalty, 0);
+
+  // Cancellation / no-show fees (rate-plan policy) on stays arriving in range
+  const inRange = new Set(dates);
+  const penaltyRevenue = this.reservations
+    .filter((r) => r.penaltyFee && inRange.has(r.arrival))
+    .reduce((s, r) => s + r.penaltyFee, 0);
+
+  const channelCost = this.channelCost(byChannel);
+  const otherRevenue = attritionRevenue + penaltyRevenue;
+  const netRevenue = revenue - channelCost + otherRevenue;
+
+  // Departmental P&L; value-add (package), channel and loyalty points costs are rooms department expenses
+  const loyalty = this.loyaltyReport(from, to);
+  const pnl = this.pnl({ dates, sold, revenue, otherRevenue, channelCost, valueAddCost, loyaltyCost: loyalty.pointsCost });
+  const gop = pnl.gop;
+  const goppar = roomsAvail ? gop / roomsAvail : 0;
+
+  // Unconstrained demand = what we sold + what we turned away
+  const denied = this.denialReport(from, to);
+  const unconstrainedSold = sold + denied.roomNights;
+
+  return {
+    sold, revenue, netRevenue, roomsAvail, occupancy, adr, revpar,
+    gop, goppar, valueAddCost, pnl, // NEW: expose valueAddCost
+    byChannel, byAccount, bySegment, byRatePlan, groupNights, attritionRevenue, penaltyRevenue, loyalty,
+    byParentSegment: rollupByParent(bySegment), // Transient / Group / Contract / Other
+    deniedNights: denied.roomNights, deniedRevenue: denied.revenue,
+    unconstrainedSold, unconstrainedOcc: roomsAvail ? unconstrainedSold / roomsAvail : 0
+  };
+}
+
+  // Cost terms for a stay of `nights` booked through `channel`: { pct of gross, perRoomNight dollars }.
+  // The volume tier is the one reached by `volume` room nights (default: the channel's period total, channelNights);
+  // per-booking fees spread over the nights.
+  channelQuote(channel, { nights = 1, volume = this.channelNights[channel] ?? 0 } = {}) {
+    const { pct = 0, perBooking = 0, perNight = 0, tiers = [] } = channelCostModel(this.channelCosts[channel] ?? 0, `${this.name} ${channel}`);
+    const tier = tiers.filter((t) => volume >= t.from).at(-1);
+    return { pct: pct + (tier?.pct ?? 0), perRoomNight: perNight + perBooking / nights };
+  }
+
+  // Total channel cost of a byChannel rollup (gross - net)
+  channelCost(byChannel) {
+    let total = 0;
+    for (const v of Object.values(byChannel)) total += v.revenue - v.net;
+    return total;
+  }
+
+  // Two-way breakdown of live reservations over stay dates from..to, e.g. crossTab("segment", "channel").
+  // Dimensions: segment, parentSegment, channel, account, ratePlan (or any reservation field).
+  // Returns { rowKey: { colKey: { nights, revenue, net, adr, netAdr } } }
+  crossTab(rowDim, colDim, { from = this.startDate, to = this.endDate } = {}) {
+    const dates = new Set(this.datesBetween(from, to));
+    const key = (res, dim) => (dim === "parentSegment" ? SEGMENT_PARENT[res.segment] ?? "Other" : res[dim] ?? "(none)");
+    const out = {};
+    for (const res of this.reservations) {
+      if (!OTB_STATUSES.includes(res.status)) continue;
+      const nights = range(res.nights).filter((i) => dates.has(addDays(res.arrival, i))).length * res.roomsCount;
+      if (!nights) continue;
+      const revenue = nights * res.rate;
+      const booked = nights / res.nights; // rooms booked, spread over the stay like the calendar
+      addToCell((out[key(res, rowDim)] ||= {}), key(res, colDim), nights, revenue, revenue - nights * (this.costPerNight[res.id] ?? 0), booked);
+    }
+    Object.values(out).forEach(withAdr);
+    return out;
+  }
+
+  // Rooms cost settings for a stay of `nights`: the base rooms model with its LOS tier applied
+  losTier(nights) {
+    const { losTiers = [], ...base } = this.costModel.rooms;
+    const tier = losTiers.filter((t) => nights >= t.minNights).sort((a, b) => b.minNights - a.minNights)[0];
+    return { label: "all stays", ...base, ...tier };
+  }
+
+  // Housekeeping and supplies on stay dates, scheduled per stay from its arrival date: a stayover
+  // service every `stayoverEveryNights` nights, a checkout clean on the last night
+  // Returns { checkouts, stayovers, housekeeping, supplies, byTier: { label -> same + roomNights, revenue } }
+  roomNightCosts(dates) {
+    const inRange = new Set(dates);
+    const total = { checkouts: 0, stayovers: 0, housekeeping: 0, supplies: 0 };
+    const byTier = {};
+    for (const res of this.reservations) {
+      if (!OTB_STATUSES.includes(res.status)) continue;
+      const t = this.losTier(res.nights);
+      const tier = (byTier[t.label] ||= { minNights: t.minNights ?? 1, roomNights: 0, revenue: 0, checkouts: 0, stayovers: 0, housekeeping: 0, supplies: 0 });
+      for (let i = 0; i < res.nights; i++) {
+        if (!inRange.has(addDays(res.arrival, i))) continue;
+        const rooms = res.roomsCount;
+        const add = { checkouts: 0, stayovers: 0, housekeeping: 0, supplies: rooms * t.suppliesPOR };
+        if (i === res.nights - 1) { add.checkouts = rooms; add.housekeeping = rooms * t.checkoutClean; }
+        else if ((i + 1) % t.stayoverEveryNights === 0) { add.stayovers = rooms; add.housekeeping = rooms * t.stayoverClean; }
+        for (const k of Object.keys(total)) { total[k] += add[k]; tier[k] += add[k]; }
+        tier.roomNights += rooms;
+        tier.revenue += rooms * res.rate;
+      }
+    }
+    for (const [label, tier] of Object.entries(byTier)) if (!tier.roomNights) delete byTier[label];
+    return { ...total, byTier };
+  }
+
+  // How LOS mix drives cost: per LOS tier, room nights, share, cleans, and variable cost per
+  // occupied room (housekeeping + supplies + breakfast + utilities per room); gopparAtTier is
+  // GOPPAR if every occupied night cost what that tier costs (same revenue and fixed costs)
+  losCostReport(from = this.startDate, to = this.endDate) {
+    const m = this.metrics(from, to);
+    const { breakfast, undistributed } = this.costModel;
+    const perRoomOther = breakfast.costPerGuest * breakfast.guestsPerRoom + undistributed.utilitiesPOR;
+    const costs = this.roomNightCosts(this.datesBetween(from, to));
+    const cpor = (c, nights) => (nights ? (c.housekeeping + c.supplies) / nights + perRoomOther : 0);
+    const overallCPOR = cpor(costs, m.sold);
+    const tiers = Object.entries(costs.byTier)
+      .sort(([, a], [, b]) => a.minNights - b.minNights)
+      .map(([label, t]) => {
+        const tierCPOR = cpor(t, t.roomNights);
+        return {
+          tier: label, roomNights: t.roomNights, share: m.sold ? t.roomNights / m.sold : 0,
+          adr: t.roomNights ? t.revenue / t.roomNights : 0,
+          checkouts: t.checkouts, stayovers: t.stayovers,
+          cleansPerRoomNight: (t.checkouts + t.stayovers) / t.roomNights,
+          cpor: tierCPOR,
+          gopparAtTier: m.roomsAvail ? (m.gop + (overallCPOR - tierCPOR) * m.sold) / m.roomsAvail : 0,
+        };
+      });
+    return { cpor: overallCPOR, goppar: m.goppar, tiers };
+  }
+
+  // USALI-style P&L for the stay dates: departments (rooms, breakfast), undistributed expenses,
+  // GOP, then management fees below GOP
+  pnl({ dates, sold, revenue, otherRevenue = 0, channelCost = 0, valueAddCost = 0, loyaltyCost = 0 }) {
+    const { rooms, breakfast, undistributed: und, fees } = this.costModel;
+    const days = dates.length;
+    const totalRevenue = revenue + otherRevenue;
+
+    const { checkouts, stayovers, housekeeping, supplies } = this.roomNightCosts(dates);
+    const roomsExpense = {
+      housekeeping,
+      guestSupplies: supplies,
+      frontOffice: rooms.fixedPerDay * days,
+      commissions: channelCost,
+      packages: valueAddCost,
+      loyalty: loyaltyCost,
+    };
+    const roomsTotal = Object.values(roomsExpense).reduce((s, v) => s + v, 0);
+    const breakfastTotal = sold * breakfast.guestsPerRoom * breakfast.costPerGuest + breakfast.fixedPerDay * days;
+
+    const undistributed = {
+      adminGeneral: und.adminPerDay * days,
+      salesMarketing: und.salesPerDay * days,
+      franchiseFees: revenue * fees.franchisePct,
+      maintenance: und.maintenancePerDay * days,
+      utilities: und.utilitiesPerDay * days + sold * und.utilitiesPOR,
+    };
+    const undistributedTotal = Object.values(undistributed).reduce((s, v) => s + v, 0);
+
+    const departments = {
+      rooms: { revenue, expense: roomsTotal, profit: revenue - roomsTotal, margin: revenue ? (revenue - roomsTotal) / revenue : 0, ...roomsExpense },
+      breakfast: { revenue: 0, expense: breakfastTotal, profit: -breakfastTotal, margin: 0 }, // complimentary: pure cost centre
+      other: { revenue: otherRevenue, expense: 0, profit: otherRevenue, margin: otherRevenue ? 1 : 0 }, // attrition + cancel fees
+    };
+    const departmentalProfit = Object.values(departments).reduce((s, d) => s + d.profit, 0);
+    const gop = departmentalProfit - undistributedTotal;
+    const managementFees = totalRevenue * fees.managementPct;
+
+    return {
+      totalRevenue, departments, departmentalProfit,
+      undistributed: { ...undistributed, total: undistributedTotal },
+      gop, gopMargin: totalRevenue ? gop / totalRevenue : 0,
+      managementFees, ebitda: gop - managementFees, // income before fixed charges
+      housekeeping: { checkouts, stayovers },
+    };
+  }
+
+  // Cost of one more occupied room night (used by the RM optimizer): per room + % of rooms revenue.
+  // Housekeeping follows a stay of `nights` (default: the books' average LOS) under its LOS tier, as in
+  // roomNightCosts(): one checkout clean plus the stayover services it gets, spread over its nights.
+  marginalCost(nights = this.averageLos()) {
+    const { breakfast, undistributed, fees } = this.costModel;
+    const t = this.losTier(nights);
+    const stayovers = Math.floor((nights - 1) / t.stayoverEveryNights);
+    return {
+      perRoom: (t.checkoutClean + stayovers * t.stayoverClean) / nights + t.suppliesPOR
+        + breakfast.costPerGuest * breakfast.guestsPerRoom + undistributed.utilitiesPOR,
+      pctOfRevenue: fees.franchisePct,
+    };
+  }
+
+  // Average nights per room booked over the live reservations, rounded to whole nights (1 with none)
+  averageLos() {
+    let rooms = 0, roomNights = 0;
+    for (const res of this.reservations) {
+      if (!OTB_STATUSES.includes(res.status)) continue;
+      rooms += res.roomsCount;
+      roomNights += res.roomsCount * res.nights;
+    }
+    return rooms ? Math.max(1, Math.round(roomNights / rooms)) : 1;
+  }
+
+  // Member vs non-member production on stay dates from..to. Member nights split by tier (loyaltyShares);
+  // reward stays (REWARD plan) are reported apart. Contribution = revenue - channel cost - points cost
+  // - marginal cost (marginalCost()). Reward nights on dates with turnaways displace paid rooms, costing
+  // the paid ADR of that night less the reimbursement.
+  // Returns { member, nonMember, reward, byTier: { tier -> cell }, memberShare, pointsCost }
+  //   cell: { nights, revenue, adr, channelCost, pointsCost, contribution, contributionPerNight }
+  //   reward also: { displacedRooms, displacementCost }
+  loyaltyReport(from = this.startDate, to = this.endDate) {
+    const dates = new Set(this.datesBetween(from, to));
+    const { pointsCostPct, tierCostFactor, nonQualifying } = this.loyalty;
+    const cell = () => ({ nights: 0, revenue: 0, channelCost: 0, pointsCost: 0 });
+    const add = (c, nights, revenue, channelCost, pointsCost = 0) => {
+      c.nights += nights; c.revenue += revenue; c.channelCost += channelCost; c.pointsCost += pointsCost;
+    };
+    const member = cell(), nonMember = cell(), reward = cell(), byTier = {};
+    const rewardOn = {}; // date -> { rooms, revenue }
+    for (const res of this.reservations) {
+      if (!OTB_STATUSES.includes(res.status)) continue;
+      const stayed = range(res.nights).map((i) => addDays(res.arrival, i)).filter((d) => dates.has(d));
+      if (!stayed.length) continue;
+      const nights = stayed.length * res.roomsCount;
+      const revenue = nights * res.rate;
+      const channelCost = nights * (this.costPerNight[res.id] ?? 0);
+      if (res.ratePlan === "REWARD") {
+        add(reward, nights, revenue, channelCost);
+        for (const d of stayed) {
+          const r = (rewardOn[d] ||= { rooms: 0, revenue: 0 });
+          r.rooms += res.roomsCount;
+          r.revenue += res.roomsCount * res.rate;
+        }
+        continue;
+      }
+      const qualifies = !nonQualifying.channels.includes(res.channel) && !nonQualifying.ratePlans.includes(res.ratePlan);
+      let memberShare = 0;
+      for (const [tier, share] of Object.entries(loyaltyShares(this.loyalty, res))) {
+        const points = qualifies ? revenue * share * pointsCostPct * (tierCostFactor[tier] ?? 1) : 0;
+        add(byTier[tier] ||= cell(), nights * share, revenue * share, channelCost * share, points);
+        add(member, nights * share, revenue * share, channelCost * share, points);
+        memberShare += share;
+      }
+      add(nonMember, nights * (1 - memberShare), revenue * (1 - memberShare), channelCost * (1 - memberShare));
+    }
+
+    const marginal = this.marginalCost();
+    const finish = (c) => {
+      c.adr = c.nights ? c.revenue / c.nights : 0;
+      c.contribution = c.revenue * (1 - marginal.pctOfRevenue) - c.channelCost - c.pointsCost - c.nights * marginal.perRoom;
+      c.contributionPerNight = c.nights ? c.contribution / c.nights : 0;
+      return c;
+    };
+    [member, nonMember, reward, ...Object.values(byTier)].forEach(finish);
+
+    reward.displacedRooms = 0;
+    reward.displacementCost = 0;
+    if (reward.nights) {
+      const denied = {};
+      for (const den of this.denials) for (let i = 0; i < den.nights; i++) addTo(denied, addDays(den.date, i), den.rooms);
+      for (const [date, r] of Object.entries(rewardOn)) {
+        const displaced = Math.min(r.rooms, denied[date] ?? 0);
+        if (!displaced) continue;
+        const c = this.calendar[date];
+        const paidAdr = c.sold > r.rooms ? (c.revenue - r.revenue) / (c.sold - r.rooms) : 0;
+        reward.displacedRooms += displaced;
+        reward.displacementCost += displaced * Math.max(0, paidAdr - r.revenue / r.rooms);
+      }
+    }
+    const paid = member.nights + nonMember.nights;
+    return { member, nonMember, reward, byTier, memberShare: paid ? member.nights / paid : 0, pointsCost: member.pointsCost };
+  }
+
+  // Turnaways on stay dates from..to, by segment and by rate
+  denialReport(from = this.startDate, to = this.endDate) {
+    const dates = new Set(this.datesBetween(from, to));
+    let roomNights = 0, revenue = 0;
+    const bySegment = {}, byRate = {};
+    for (const den of this.denials) {
+      const nightsInRange = range(den.nights).filter((i) => dates.has(addDays(den.date, i))).length;
+      if (!nightsInRange) continue;
+      const rn = den.rooms * nightsInRange;
+      const rev = rn * den.rate;
+      roomNights += rn;
+      revenue += rev;
+      const seg = (bySegment[den.segment] ||= { roomNights: 0, revenue: 0 });
+      seg.roomNights += rn;
+      seg.revenue += rev;
+      const r = (byRate[den.rate] ||= { roomNights: 0, revenue: 0 });
+      r.roomNights += rn;
+      r.revenue += rev;
+    }
+    return { roomNights, revenue, bySegment, byRate };
+  }
+
+  // A reservation as it stood at the end of `asOf` (null if not yet booked), replaying its history backwards
+  reservationAsOf(res, asOf) {
+    if (res.bookingDate > asOf) return null;
+    const state = { ...res };
+    for (const h of [...res.history].reverse()) {
+      if (h.at <= asOf) break;
+      if (h.action === "modify") Object.assign(state, h.before);
+      if (h.action === "status") state.status = h.from;
+    }
+    return state;
+  }
+
+  // On-the-books by stay date as of a snapshot date, split transient / group
+  // Rows: { date, transient: { rooms, revenue }, group: { rooms, revenue }, total: { rooms, revenue } }
+  paceReport(asOf = this.businessDate, { from = this.startDate, to = this.endDate } = {}) {
+    const dates = this.datesBetween(from, to);
+    const rows = Object.fromEntries(dates.map((date) => [date, {
+      date,
+      transient: { rooms: 0, revenue: 0 },
+      group: { rooms: 0, revenue: 0 },
+      total: { rooms: 0, revenue: 0 },
+    }]));
+    for (const res of this.reservations) {
+      const state = this.reservationAsOf(res, asOf);
+      if (!state || !OTB_STATUSES.includes(state.status)) continue;
+      for (let i = 0; i < state.nights; i++) {
+        const row = rows[addDays(state.arrival, i)];
+        if (!row) continue;
+        for (const bucket of [state.isGroup ? row.group : row.transient, row.total]) {
+          bucket.rooms += state.roomsCount;
+          bucket.revenue += state.roomsCount * state.rate;
+        }
+      }
+    }
+    return dates.map((date) => rows[date]);
+  }
+
+  // Pickup between two snapshots (OTB at `to` minus OTB at `from`) by stay date
+  pickupReport(fromSnapshot, toSnapshot = this.businessDate, range = {}) {
+    const before = this.paceReport(fromSnapshot, range);
+    const after = this.paceReport(toSnapshot, range);
+    const delta = (a, b) => ({ rooms: b.rooms - a.rooms, revenue: b.revenue - a.revenue });
+    return after.map((row, i) => ({
+      date: row.date,
+      transient: delta(before[i].transient, row.transient),
+      group: delta(before[i].group, row.group),
+      total: delta(before[i].total, row.total),
+    }));
+  }
+
+  // How one stay date's books looked N days before arrival, e.g. [30, 14, 7, 0]
+  bookingCurve(day, daysOut = [30, 14, 7, 0]) {
+    const date = this.dateOf(day);
+    return daysOut.map((n) => {
+      const row = this.paceReport(addDays(date, -n), { from: date, to: date })[0];
+      return { daysOut: n, asOf: addDays(date, -n), ...row };
+    });
+  }
+
+  // Pace vs same time last year: this year's OTB as of `asOf` next to `lastYear`'s OTB as of
+  // asOf - 364 (same weekday), stay dates shifted the same way. lastYear may be this hotel
+  // (long horizon) or a separate Hotel holding last year's ledger; stay dates whose STLY date
+  // falls outside lastYear's horizon get stly / variance null.
+  paceVsSTLY(asOf = this.businessDate, { from = this.startDate, to = this.endDate, lastYear = this } = {}) {
+    const ty = this.paceReport(asOf, { from, to });
+    const lyFrom = addDays(ty[0].date, -364) < lastYear.startDate ? lastYear.startDate : addDays(ty[0].date, -364);
+    const lyTo = addDays(ty[ty.length - 1].date, -364) > lastYear.endDate ? lastYear.endDate : addDays(ty[ty.length - 1].date, -364);
+    const ly = lyFrom > lyTo ? [] : lastYear.paceReport(addDays(asOf, -364), { from: lyFrom, to: lyTo });
+    const lyOn = Object.fromEntries(ly.map((row) => [row.date, row.total]));
+    return ty.map((row) => {
+      const stlyDate = addDays(row.date, -364);
+      const stly = lyOn[stlyDate] ?? null;
+      return {
+        date: row.date, stlyDate, otb: row.total, stly,
+        variance: stly && { rooms: row.total.rooms - stly.rooms, revenue: row.total.revenue - stly.revenue },
+      };
+    });
+  }
+
+  // otb  On The Books
+  // Simple "pace" view: group nights OTB for the next weeks vs a target
+  // Weeks are clipped at `to` (default: end of horizon)
+  groupPace({ startDay = this.startDate, to = this.endDate, weeks = WEEKS_AHEAD, weeklyTargets = [] }) {
+    const start = this.dateOf(startDay);
+    const end = this.dateOf(to);
+    const result = [];
+    for (let w = 0; w < weeks; w++) {
+      const from = addDays(start, w * 7);
+      if (from > end) break;
+      const weekEnd = addDays(from, 6) < end ? addDays(from, 6) : end;
+      let nights = 0, held = 0;
+      for (const date of dateRange(from, weekEnd)) {
+        nights += (this.calendar[date]?.groupNights || 0);
+        held += this.calendar[date] ? this.blockHeld(date) : 0;
+      }
+      const target = weeklyTargets[w] ?? 0;
+      // blockHeld: contracted but not yet picked up (not counted in nightsOTB)
+      result.push({ week: w + 1, from, to: weekEnd, nightsOTB: nights, blockHeld: held, target, paceVsTarget: nights - target });
+    }
+    return result;
+  }
+}
+
+// A comp-set day: RevPAR only (enough for RGI) or occ + ADR (for MPI / ARI too), optionally
+// by segment. Segment occ is that segment's rooms sold / total supply, as in STR reports.
+function compDay(v) {
+  if (typeof v === "number") return { occ: null, adr: null, revpar: v, bySegment: {} };
+  const bySegment = Object.fromEntries(Object.entries(v.bySegment ?? {})
+    .map(([seg, x]) => [seg, { occ: x.occ, adr: x.adr, revpar: x.occ * x.adr }]));
+  return { occ: v.occ, adr: v.adr, revpar: v.occ * v.adr, bySegment };
+}
+
+// { ISO date -> day } or an array of days starting at startDate -> { ISO date -> compDay }
+function compSeries(days, startDate) {
+  const entries = Array.isArray(days) ? days.map((v, i) => [addDays(startDate, i), v]) : Object.entries(days);
+  return Object.fromEntries(entries.map(([date, v]) => [date, compDay(v)]));
+}
+
+// Key-weighted blend of competitor series (occ by supply, ADR by rooms sold)
+function blendMembers(members) {
+  const acc = {}; // date -> { supply, sold, revenue, bySegment: { seg -> { sold, revenue } } }
+  for (const m of members) {
+    for (const [date, d] of Object.entries(m.days ?? {})) {
+      const a = (acc[date] ||= { supply: 0, sold: 0, revenue: 0, bySegment: {} });
+      a.supply += m.keys;
+      a.sold += d.occ * m.keys;
+      a.revenue += d.revpar * m.keys;
+      for (const [seg, x] of Object.entries(d.bySegment)) {
+        const s = (a.bySegment[seg] ||= { sold: 0, revenue: 0 });
+        s.sold += x.occ * m.keys;
+        s.revenue += x.revpar * m.keys;
+      }
+    }
+  }
+  const day = (sold, revenue, supply) => ({ occ: sold / supply, adr: sold ? revenue / sold : 0 });
+  return Object.fromEntries(Object.entries(acc).map(([date, a]) => [date, compDay({
+    ...day(a.sold, a.revenue, a.supply),
+    bySegment: Object.fromEntries(Object.entries(a.bySegment).map(([seg, x]) => [seg, day(x.sold, x.revenue, a.supply)])),
+  })]));
+}
+
+// Period totals -> { occ, adr, revpar }; occ / adr are null when the series is RevPAR only
+const kpis = ({ supply, sold, revenue }) => ({
+  occ: sold == null ? null : sold / supply,
+  adr: sold == null ? null : sold ? revenue / sold : 0,
+  revpar: supply ? revenue / supply : 0,
+});
+const index = (a, b) => (a == null || !b ? null : (a / b) * 100);
+
+// Buckets for CompSet.benchmark({ by })
+const BENCHMARK_BY = {
+  day: (date) => date,
+  week: (date) => `wk ${addDays(date, -dayOfWeek(date))}`, // Sun-Sat weeks
+  weekpart: (date) => (isWeekend(date) ? "Weekend" : "Weekday"),
+  dow: (date) => DOW_NAMES[dayOfWeek(date)],
+  period: () => "Period",
+};
+
+class CompSet {
+  // days: { ISO date -> day } or an array of days starting at startDate (see compDay).
+  // members: [{ name, keys, days? }] competitors. With no set-level days the set is the
+  // key-weighted blend of the members; members with days are ranked against the subject hotel.
+  // keys: comp-set supply for fair share (defaults to the members' keys).
+  constructor(name, days, startDate = START_DATE, { members = [], keys } = {}) {
+    this.name = name;
+    this.members = members.map((m) => ({ name: m.name, keys: m.keys, days: m.days ? compSeries(m.days, startDate) : null }));
+    this.keys = keys ?? (this.members.length ? this.members.reduce((sum, m) => sum + m.keys, 0) : null);
+    this.days = days ? compSeries(days, startDate) : blendMembers(this.members);
+  }
+  get dates() { return Object.keys(this.days).sort(); }
+  day(date) { return this.days[date] ?? null; }
+  revparOn(date) { return this.days[date]?.revpar ?? 0; }
+  occOn(date) { return this.days[date]?.occ ?? null; }
+  adrOn(date) { return this.days[date]?.adr ?? null; }
+  // Range is inclusive; defaults to every date in the series
+  revparAvg(from = this.dates[0], to = this.dates[this.dates.length - 1]) {
+    let sum = 0, n = 0;
+    for (const date of dateRange(from, to)) {
+      if (!(date in this.days)) continue;
+      sum += this.days[date].revpar; n++;
+    }
+    return n ? sum / n : 0;
+  }
+
+  // Copy with every day (set, members, segments) scaled, e.g. scaled({ occ: 1.05 }) for a stronger market
+  scaled({ occ = 1, adr = 1 } = {}) {
+    const scaleDay = (d) => (d.occ == null ? d.revpar * occ * adr : {
+      occ: d.occ * occ, adr: d.adr * adr,
+      bySegment: Object.fromEntries(Object.entries(d.bySegment).map(([seg, x]) => [seg, { occ: x.occ * occ, adr: x.adr * adr }])),
+    });
+    const scaleSeries = (series) => Object.fromEntries(Object.entries(series).map(([date, d]) => [date, scaleDay(d)]));
+    return new CompSet(this.name, scaleSeries(this.days), undefined, {
+      keys: this.keys,
+      members: this.members.map((m) => ({ ...m, days: m.days && scaleSeries(m.days) })),
+    });
+  }
+
+  // Totals of a series over dates, per unit of supply per day (segment: a key of bySegment)
+  static totals(series, dates, segment) {
+    const t = { supply: 0, sold: 0, revenue: 0 };
+    for (const date of dates) {
+      const d = segment ? series[date]?.bySegment[segment] : series[date];
+      t.supply += 1;
+      if (!d) continue;
+      if (d.occ == null) t.sold = null;
+      else if (t.sold != null) t.sold += d.occ;
+      t.revenue += d.revpar;
+    }
+    return t;
+  }
+
+  // Subject hotel totals over dates; segment may be a segment or a SEGMENT_PARENT bucket
+  static hotelTotals(hotel, dates, segment) {
+    const t = { supply: 0, sold: 0, revenue: 0 };
+    for (const date of dates) {
+      const c = hotel.calendar[date];
+      t.supply += hotel.rooms;
+      if (!segment) { t.sold += c.sold; t.revenue += c.revenue; continue; }
+      for (const [seg, v] of Object.entries(c.bySegment)) {
+        if (seg !== segment && SEGMENT_PARENT[seg] !== segment) continue;
+        t.sold += v.nights; t.revenue += v.revenue;
+      }
+    }
+    return t;
+  }
+
+  // STR-style benchmark of a hotel against this set over stay dates from..to, bucketed
+  // by "day" | "week" | "weekpart" | "dow" | "period". Rows:
+  // { key, days, hotel: {occ,adr,revpar}, comp: {occ,adr,revpar}, mpi, ari, rgi,
+  //   rank: { occ, adr, revpar } ("2 of 5", null without member data),
+  //   fairShare, demandShare, revenueShare (null without comp keys) }
+  benchmark(hotel, { from = hotel.startDate, to = hotel.endDate, by = "period", segment } = {}) {
+    const bucketOf = BENCHMARK_BY[by];
+    if (!bucketOf) throw new TypeError(`${this.name}: unknown benchmark bucket "${by}" (use ${Object.keys(BENCHMARK_BY).join(", ")})`);
+    const buckets = {};
+    for (const date of hotel.datesBetween(from, to)) {
+      if (date in this.days) (buckets[bucketOf(date)] ||= []).push(date);
+    }
+    const ranked = this.members.filter((m) => m.days);
+    return Object.entries(buckets).map(([key, dates]) => {
+      const h = CompSet.hotelTotals(hotel, dates, segment);
+      const c = CompSet.totals(this.days, dates, segment);
+      const hk = kpis(h), ck = kpis(c);
+      const row = {
+        key, days: dates.length, hotel: hk, comp: ck,
+        mpi: index(hk.occ, ck.occ), ari: index(hk.adr, ck.adr), rgi: index(hk.revpar, ck.revpar),
+        rank: null, fairShare: null, demandShare: null, revenueShare: null,
+      };
+      if (ranked.length) {
+        const field = ranked.map((m) => kpis(CompSet.totals(m.days, dates, segment)));
+        const rankOf = (k) => `${1 + field.filter((x) => x[k] > hk[k]).length} of ${field.length + 1}`;
+        row.rank = { occ: rankOf("occ"), adr: rankOf("adr"), revpar: rankOf("revpar") };
+      }
+      if (this.keys) {
+        const compSupply = this.keys * dates.length;
+        row.fairShare = h.supply / (h.supply + compSupply);
+        if (c.sold != null) row.demandShare = h.sold / (h.sold + ck.occ * compSupply);
+        row.revenueShare = h.revenue / (h.revenue + ck.revpar * compSupply);
+      }
+      return row;
+    });
+  }
+}
+// Revenue Generating Index
+const RGI = (hotelRevPAR, compRevPAR) => (hotelRevPAR / compRevPAR) * 100;
+
+///////////////////////// PORTFOLIO /////////////////////////
+// Any number of hotels, each with an optional CompSet, a code (unique key), a brand and a market.
+class Portfolio {
+  constructor(name) {
+    this.name = name;
+    this.members = []; // { code, hotel, comp, brand, market }
+  }
+
+  add(hotel, { code = hotel.flag, comp = null, brand = hotel.flag, market = "Default" } = {}) {
+    if (this.members.some((m) => m.code === code)) throw new RangeError(`${this.name}: duplicate hotel code ${code}`);
+    this.members.push({ code, hotel, comp, brand, market });
+    return this;
+  }
+
+  member(code) {
+    const m = this.members.find((x) => x.code === code);
+    if (!m) throw new RangeError(`${this.name}: no hotel ${code}`);
+    return m;
+  }
+
+  // Members matching { brand, market, flag, codes } (all optional)
+  select({ brand, market, flag, codes } = {}) {
+    return this.members.filter((m) =>
+      (brand == null || m.brand === brand) &&
+      (market == null || m.market === market) &&
+      (flag == null || m.hotel.flag === flag) &&
+      (codes == null || codes.includes(m.code)));
+  }
+
+  // Combined KPIs over stay dates from..to (default: each hotel's horizon), clipped to each
+  // member's horizon; members with no night in the range are left out. Comp RevPAR is
+  // blended by rooms available over the members that have a comp set, and RGI compares it
+  // with those same members' RevPAR (hotels without a comp set stay out of both sides).
+  metrics({ from, to, ...filter } = {}) {
+    const members = this.select(filter);
+    const byHotel = {};
+    const t = { hotels: 0, keys: 0, sold: 0, revenue: 0, netRevenue: 0, roomsAvail: 0, gop: 0 };
+    let compAvail = 0, compWeighted = 0, compRevenue = 0;
+    for (const m of members) {
+      const h = m.hotel;
+      const [hFrom, hTo] = h.clipRange(from, to);
+      if (hFrom > hTo) continue;
+      const hm = h.metrics(hFrom, hTo);
+      byHotel[m.code] = hm;
+      t.hotels += 1;
+      t.keys += h.rooms;
+      for (const k of ["sold", "revenue", "netRevenue", "roomsAvail", "gop"]) t[k] += hm[k];
+      if (m.comp) {
+        compWeighted += m.comp.revparAvg(hFrom, hTo) * hm.roomsAvail;
+        compAvail += hm.roomsAvail;
+        compRevenue += hm.revenue;
+      }
+    }
+    t.occupancy = t.roomsAvail ? t.sold / t.roomsAvail : 0;
+    t.adr = t.sold ? t.revenue / t.sold : 0;
+    t.revpar = t.roomsAvail ? t.revenue / t.roomsAvail : 0;
+    t.goppar = t.roomsAvail ? t.gop / t.roomsAvail : 0;
+    t.compRevPAR = compAvail ? compWeighted / compAvail : 0;
+    t.rgi = t.compRevPAR ? RGI(compRevenue / compAvail, t.compRevPAR) : 0;
+    return { ...t, byHotel };
+  }
+
+  // Combined metrics per brand, market or flag (or any (member) => key function)
+  groupBy(key = "brand", range = {}) {
+    const keyOf = typeof key === "function" ? key : (m) => (key === "flag" ? m.hotel.flag : m[key]);
+    const groups = {};
+    for (const m of this.members) (groups[keyOf(m)] ||= []).push(m.code);
+    return Object.fromEntries(Object.entries(groups).map(([k, codes]) => [k, this.metrics({ ...range, codes })]));
+  }
+
+  // Account production across properties, ranked by revenue:
+  // [{ account, nights, revenue, net, adr, hotels, byHotel: { code -> { nights, revenue, net, adr } } }]
+  accountProduction({ from, to, ...filter } = {}) {
+    const accounts = {};
+    for (const m of this.select(filter)) {
+      for (const [acct, v] of Object.entries(m.hotel.metrics(from, to).byAccount)) {
+        const a = (accounts[acct] ||= { account: acct, ...emptyCell(), byHotel: {} });
+        addToCell(a.byHotel, m.code, v.nights, v.revenue, v.net, v.bookings);
+        a.nights += v.nights; a.revenue += v.revenue; a.net += v.net; a.bookings += v.bookings;
+      }
+    }
+    return Object.values(accounts)
+      .map((a) => ({ ...a, adr: a.nights ? a.revenue / a.nights : 0, hotels: Object.keys(a.byHotel).length, byHotel: withAdr(a.byHotel) }))
+      .sort((a, b) => b.revenue - a.revenue);
+  }
+}
+
+///////////////////////// FORECASTING /////////////////////////
+// Unconstrained demand (rooms sold + turnaways) by stay date and segment, learned from the
+// stay dates of a Hotel that have already happened (before its business date).
+//  - "dow":    average demand per weekday over the history
+//  - "pickup": rooms on the books as of `asOf` + average additive pickup still to come for
+//              stays that many days out, same weekday first, then all weekdays
+//              (falls back to "dow" with no history at that lead)
+class Forecaster {
+  constructor(hotel, { historyFrom = hotel.startDate, historyTo = addDays(hotel.businessDate, -1) } = {}) {
+    this.hotel = hotel;
+    this.history = historyTo < historyFrom ? [] : hotel.datesBetween(historyFrom, historyTo);
+    this.otbCache = {};    // asOf -> { date -> { segment -> rooms } }
+    this.pickupCache = {}; // "daysOut|before|dow" -> { segment -> avg pickup } | null
+
+    // turnaways by stay date and segment
+    this.denied = {};
+    for (const den of hotel.denials) {
+      for (let i = 0; i < den.nights; i++) addTo(this.denied[addDays(den.date, i)] ||= {}, den.segment, den.rooms);
+    }
+  }
+
+  // Unconstrained actuals for a past stay date: { segment -> rooms }
+  actual(date) {
+    const out = {};
+    for (const [seg, v] of Object.entries(this.hotel.calendar[date]?.bySegment || {})) addTo(out, seg, v.nights);
+    for (const [seg, rooms] of Object.entries(this.denied[date] || {})) addTo(out, seg, rooms);
+    return out;
+  }
+
+  // Rooms on the books by segment for a stay date, as of the end of `asOf`
+  otb(asOf, date) {
+    if (!this.otbCache[asOf]) {
+      const byDate = {};
+      for (const res of this.hotel.reservations) {
+        const state = this.hotel.reservationAsOf(res, asOf);
+        if (!state || !OTB_STATUSES.includes(state.status)) continue;
+        for (let i = 0; i < state.nights; i++) addTo(byDate[addDays(state.arrival, i)] ||= {}, state.segment, state.roomsCount);
+      }
+      this.otbCache[asOf] = byDate;
+    }
+    return this.otbCache[asOf][date] || {};
+  }
+
+  // Average demand by segment and weekday (0=Sun) over history stay dates before `before`
+  dowProfile(before = this.hotel.businessDate) {
+    const sums = {}, counts = Array(7).fill(0);
+    for (const date of this.history) {
+      if (date >= before) continue;
+      const dow = dayOfWeek(date);
+      counts[dow]++;
+      for (const [seg, rooms] of Object.entries(this.actual(date))) (sums[seg] ||= Array(7).fill(0))[dow] += rooms;
+    }
+    return Object.fromEntries(Object.entries(sums).map(([seg, arr]) => [seg, arr.map((v, dow) => (counts[dow] ? v / counts[dow] : 0))]));
+  }
+
+  // Average rooms picked up between `daysOut` days before arrival and the stay date, by segment,
+  // over history stay dates before `before` (only weekday `dow` if given); null when none qualify
+  pickup(daysOut, before = this.hotel.businessDate, dow = null) {
+    const key = `${daysOut}|${before}|${dow}`;
+    if (key in this.pickupCache) return this.pickupCache[key];
+    const sums = {};
+    let n = 0;
+    for (const date of this.history) {
+      if (date >= before || (dow != null && dayOfWeek(date) !== dow)) continue;
+      n++;
+      const final = this.actual(date);
+      const early = this.otb(addDays(date, -daysOut), date);
+      for (const seg of new Set([...Object.keys(final), ...Object.keys(early)])) addTo(sums, seg, (final[seg] || 0) - (early[seg] || 0));
+    }
+    return (this.pickupCache[key] = n ? Object.fromEntries(Object.entries(sums).map(([seg, v]) => [seg, v / n])) : null);
+  }
+
+  // Forecast stay dates (ISO or day offsets) as of `asOf`.
+  // Rows: { date, horizon, method, bySegment: { segment -> rooms }, total }
+  forecast(dates, { method = "pickup", asOf = this.hotel.businessDate } = {}) {
+    if (method !== "dow" && method !== "pickup") throw new TypeError(`unknown forecast method "${method}"`);
+    const profile = this.dowProfile(asOf);
+    return dates.map((day) => {
+      const date = this.hotel.dateOf(day);
+      const horizon = daysBetween(asOf, date);
+      const curve = method === "pickup" ? this.pickup(horizon, asOf, dayOfWeek(date)) ?? this.pickup(horizon, asOf) : null;
+      const bySegment = {};
+      if (curve) {
+        const otb = this.otb(asOf, date);
+        for (const seg of new Set([...Object.keys(otb), ...Object.keys(curve)])) bySegment[seg] = Math.max(0, (otb[seg] || 0) + (curve[seg] || 0));
+      } else {
+        for (const [seg, arr] of Object.entries(profile)) bySegment[seg] = arr[dayOfWeek(date)];
+      }
+      const total = Object.values(bySegment).reduce((s, v) => s + v, 0);
+      return { date, horizon, method: curve ? "pickup" : "dow", bySegment, total };
+    });
+  }
+
+  // Backtest: forecast every history stay date in from..to as of `horizon` days before it,
+  // learning only from stay dates before that snapshot, and score against actuals.
+  // Rows: { horizon, n, mape, bySegment: { segment -> mape } }  (MAPE skips zero actuals)
+  accuracy({ method = "pickup", from = this.history[0], to = this.history[this.history.length - 1], horizons = [0, 7, 14, 30] } = {}) {
+    const dates = this.history.filter((d) => d >= from && d <= to);
+    return horizons.map((horizon) => {
+      const errs = [], segErrs = {};
+      for (const date of dates) {
+        const [fc] = this.forecast([date], { method, asOf: addDays(date, -horizon) });
+        const act = this.actual(date);
+        const actTotal = Object.values(act).reduce((s, v) => s + v, 0);
+        if (actTotal) errs.push(Math.abs(actTotal - fc.total) / actTotal);
+        for (const [seg, rooms] of Object.entries(act)) {
+          if (rooms) (segErrs[seg] ||= []).push(Math.abs(rooms - (fc.bySegment[seg] || 0)) / rooms);
+        }
+      }
+      const mean = (arr) => (arr.length ? arr.reduce((s, v) => s + v, 0) / arr.length : null);
+      return {
+        horizon, n: errs.length, mape: mean(errs),
+        bySegment: Object.fromEntries(Object.entries(segErrs).map(([seg, arr]) => [seg, mean(arr)])),
+      };
+    });
+  }
+}
+
+///////////////////////// REVENUE MANAGEMENT /////////////////////////
+// Constant price elasticity of demand by segment: demand(p) = demand(p0) * (p / p0)^e.
+// 0 = contracted / group business that BAR does not move (it just takes capacity first).
+const PRICE_ELASTICITY = {
+  Corporate: -0.8, Leisure: -1.6, Government: -0.3, Other: -1.2,
+  Group: 0, SMERF: 0, Sports: 0, Crew: 0, Project: 0, Relocation: 0, ExtendedStay: 0,
+};
+
+// Unconstrained demand on the books (sold + turnaways) by stay date and segment, in
+// Forecaster.forecast row shape; the "current sell pattern" when no forecast is given
+function demandFromBooks(hotel, dates = hotel.dates) {
+  const f = new Forecaster(hotel);
+  return dates.map((date) => {
+    const bySegment = f.actual(date);
+    return { date, horizon: daysBetween(hotel.businessDate, date), method: "books", bySegment, total: Object.values(bySegment).reduce((s, v) => s + v, 0) };
+  });
+}
+
+// Recommend a BAR per stay date that maximises contribution to GOP (net of channel cost and
+// variable cost per occupied room) for the price-sensitive segments, after fixed business
+// takes its rooms; BAR moves within current * (1 + step). Dates that stay full at the chosen
+// BAR (>= tightOcc of capacity) next to a soft night (< softOcc) get minLOS 2.
+// Returns { rows, summary }; rows: { date, currentBar, recBar, change, transientDemand, expectedSold,
+// expectedOcc, minLOS, revenueUplift, gopUplift }
+function optimizeBar(hotel, {
+  demand = demandFromBooks(hotel),
+  elasticity = PRICE_ELASTICITY,
+  steps = [-0.2, -0.15, -0.1, -0.05, 0.05, 0.1, 0.15, 0.2, 0.25, 0.3],
+  floor = 0, ceiling = Infinity,
+  tightOcc = 0.95, softOcc = 0.8,
+} = {}) {
+  const marginal = hotel.marginalCost();
+  const isElastic = (seg) => (elasticity[seg] ?? 0) !== 0;
+
+  const rows = demand.map(({ date, bySegment }) => {
+    const c = hotel.calendar[date];
+    const transient = Object.entries(c?.bySegment || {}).filter(([seg]) => isElastic(seg)).map(([, v]) => v);
+    const tNights = transient.reduce((s, v) => s + v.nights, 0);
+    const tRevenue = transient.reduce((s, v) => s + v.revenue, 0);
+    const tNet = transient.reduce((s, v) => s + v.net, 0);
+
+    const currentBar = hotel.bar[date] ?? (tNights ? tRevenue / tNights : null);
+    const adrRatio = hotel.bar[date] && tNights ? tRevenue / tNights / hotel.bar[date] : 1; // sold ADR vs BAR (discounted plans)
+    const netRatio = tRevenue ? tNet / tRevenue : 1;
+    const fixedDemand = Object.entries(bySegment).filter(([seg]) => !isElastic(seg)).reduce((s, [, v]) => s + v, 0);
+    const room = Math.max(0, hotel.capacity - fixedDemand);
+
+    const evaluate = (bar) => {
+      let unconstrained = 0;
+      for (const [seg, d] of Object.entries(bySegment)) {
+        if (isElastic(seg)) unconstrained += d * Math.pow(bar / currentBar, elasticity[seg]);
+      }
+      const sold = Math.min(room, unconstrained);
+      const revenue = sold * bar * adrRatio;
+      return { bar, unconstrained, sold, revenue, contribution: revenue * (netRatio - marginal.pctOfRevenue) - sold * marginal.perRoom };
+    };
+
+    if (currentBar == null) {
+      return { date, currentBar: null, recBar: null, change: 0, transientDemand: 0, expectedSold: fixedDemand, expectedOcc: fixedDemand / hotel.rooms, minLOS: null, revenueUplift: 0, gopUplift: 0 };
+    }
+    const current = evaluate(currentBar);
+    let best = current;
+    for (const step of steps) {
+      const bar = Math.min(ceiling, Math.max(floor, currentBar * (1 + step)));
+      const cand = evaluate(bar);
+      if (cand.contribution > best.contribution + 0.01) best = cand;
+    }
+    return {
+      date, currentBar, recBar: best.bar, change: best.bar / currentBar - 1,
+      transientDemand: best.unconstrained, expectedSold: fixedDemand + best.sold,
+      expectedOcc: (fixedDemand + best.sold) / hotel.rooms,
+      tight: fixedDemand + best.unconstrained >= hotel.capacity * tightOcc,
+      minLOS: null,
+      revenueUplift: best.revenue - current.revenue,
+      gopUplift: best.contribution - current.contribution,
+    };
+  });
+
+  // LOS controls: protect a full night that sits next to a soft one
+  rows.forEach((row, i) => {
+    const soft = [rows[i - 1], rows[i + 1]].some((n) => n && n.expectedOcc < softOcc);
+    if (row.tight && soft) row.minLOS = 2;
+    delete row.tight;
+  });
+
+  const roomsAvail = hotel.rooms * rows.length;
+  const revenueUplift = rows.reduce((s, r) => s + r.revenueUplift, 0);
+  const gopUplift = rows.reduce((s, r) => s + r.gopUplift, 0);
+  return {
+    rows,
+    summary: {
+      days: rows.length, roomsAvail, revenueUplift, gopUplift,
+      revparUplift: roomsAvail ? revenueUplift / roomsAvail : 0,
+      gopparUplift: roomsAvail ? gopUplift / roomsAvail : 0,
+      minLOSDates: rows.filter((r) => r.minLOS).map((r) => r.date),
+    },
+  };
+}
+
+// Load optimizer rows into the hotel: BAR per date + minLOS stay controls
+function applyRecommendations(hotel, rows) {
+  for (const r of rows) {
+    if (r.recBar != null) hotel.setBar(r.date, r.date, Math.round(r.recBar));
+    hotel.setStayControls(r.date, r.date, r.minLOS ? { minLOS: r.minLOS } : {});
+  }
+}
+
+// Non-rooms spend (F&B, meeting space, parking, market) per occupied room night by segment,
+// and the share of it that reaches profit
+const ANCILLARY_SPEND = {
+  Corporate: 6, Leisure: 4, Government: 3, Other: 2,
+  Group: 18, SMERF: 8, Sports: 10, Crew: 3, Project: 3, Relocation: 2, ExtendedStay: 2,
+};
+const ANCILLARY_MARGIN = 0.35;
+
+// Is a group / LNR lead worth taking? Compares the lead's contribution with the transient business it
+// would push out on each night of the stay. Transient = segments with non-zero elasticity; their demand
+// comes from `demand` (Forecaster.forecast rows; default: the books) and they keep whatever rooms the
+// fixed business and the group leave. Contribution = rooms revenue net of channel cost (hotel.channelQuote:
+// % take plus per-booking / per-night fees), variable cost (marginalCost()) + ancillary profit.
+// lead: { rooms, nights, rate, segment, channel, arrival, ancillaryPerNight? }
+// Returns { arrival, byNight: [{ date, fixedDemand, transientDemand, displacedRooms, transientAdr,
+//   displacedRevenue, displacedProfit, shortRooms }], groupRevenue, commission, ancillary, groupProfit,
+//   displacedRooms, displacedRevenue, displacedProfit, netGain, minRate, recommendation: "go" | "no-go", reasons }
+function groupDisplacement(hotel, lead, {
+  arrival = lead.arrival,
+  demand = null,
+  elasticity = PRICE_ELASTICITY,
+  ancillarySpend = ANCILLARY_SPEND,
+  ancillaryMargin = ANCILLARY_MARGIN,
+} = {}) {
+  if (arrival == null) throw new TypeError(`lead ${lead.id}: no arrival date to test displacement on`);
+  const dates = range(lead.nights).map((i) => addDays(hotel.dateOf(arrival), i));
+  dates.forEach((date) => hotel.dayAt(date)); // whole stay must sit in the horizon
+  const rows = demand ?? demandFromBooks(hotel, dates);
+  const demandOn = Object.fromEntries(rows.map((r) => [r.date, r.bySegment]));
+  const marginal = hotel.marginalCost(); // displaced transient: the books' average LOS
+  const groupMarginal = hotel.marginalCost(lead.nights);
+  const isElastic = (seg) => (elasticity[seg] ?? 0) !== 0;
+  const ancillaryProfit = (seg) => (ancillarySpend[seg] ?? 0) * ancillaryMargin;
+
+  // transient ADR / net ratio off the books: that night, else the whole horizon
+  const transientCells = (dates) => dates.flatMap((d) => Object.entries(hotel.calendar[d].bySegment).filter(([seg]) => isElastic(seg)));
+  const horizon = transientCells(hotel.dates);
+  const sumOf = (cells, k) => cells.reduce((s, [, v]) => s + v[k], 0);
+
+  const byNight = dates.map((date) => {
+    const bySegment = demandOn[date] ?? {};
+    const fixedDemand = Object.entries(bySegment).filter(([seg]) => !isElastic(seg)).reduce((s, [, v]) => s + v, 0);
+    const transient = Object.entries(bySegment).filter(([seg]) => isElastic(seg));
+    const transientDemand = transient.reduce((s, [, v]) => s + v, 0);
+    const own = transientCells([date]);
+    const cells = sumOf(own, "nights") ? own : horizon;
+    const [nights, revenue] = [sumOf(cells, "nights"), sumOf(cells, "revenue")];
+    const transientAdr = nights ? revenue / nights : 0;
+    const netRatio = revenue ? sumOf(cells, "net") / revenue : 1;
+    const ancillaryPerRoom = transientDemand ? transient.reduce((s, [seg, v]) => s + v * ancillaryProfit(seg), 0) / transientDemand : 0;
+
+    const free = Math.max(0, hotel.capacity - fixedDemand);
+    const displacedRooms = Math.min(transientDemand, free) - Math.min(transientDemand, Math.max(0, free - lead.rooms));
+    const displacedRevenue = displacedRooms * transientAdr;
+    const displacedProfit = displacedRevenue * (netRatio - marginal.pctOfRevenue) - displacedRooms * (marginal.perRoom - ancillaryPerRoom);
+    return { date, fixedDemand, transientDemand, displacedRooms, transientAdr, displacedRevenue, displacedProfit, shortRooms: Math.max(0, lead.rooms - free) };
+  });
+
+  const roomNights = lead.rooms * lead.nights;
+  const { pct: take, perRoomNight: fees } = hotel.channelQuote(lead.channel, { nights: lead.nights });
+  const groupRevenue = roomNights * lead.rate;
+  const commission = groupRevenue * take + roomNights * fees;
+  const ancillaryPerNight = lead.ancillaryPerNight ?? ancillarySpend[lead.segment] ?? 0;
+  const ancillary = { spend: roomNights * ancillaryPerNight, profit: roomNights * ancillaryPerNight * ancillaryMargin };
+  const groupProfit = groupRevenue * (1 - take - groupMarginal.pctOfRevenue) - roomNights * (groupMarginal.perRoom + fees) + ancillary.profit;
+
+  const sum = (k) => byNight.reduce((s, n) => s + n[k], 0);
+  const displacedProfit = sum("displacedProfit");
+  // rate at which the group's contribution just replaces what it displaces
+  const minRate = Math.max(0, (displacedProfit + roomNights * (groupMarginal.perRoom + fees) - ancillary.profit) / (roomNights * (1 - take - groupMarginal.pctOfRevenue)));
+
+  const reasons = [];
+  const short = byNight.filter((n) => n.shortRooms > 0);
+  if (short.length) reasons.push(`does not fit on ${short.map((n) => n.date).join(", ")} (short ${Math.max(...short.map((n) => n.shortRooms))} rooms)`);
+  if (lead.rate < minRate) reasons.push(`rate ${fmt$(lead.rate)} below minimum ${fmt$(minRate)}`);
+  return {
+    arrival: dates[0], byNight,
+    groupRevenue, commission, ancillary, groupProfit,
+    displacedRooms: sum("displacedRooms"), displacedRevenue: sum("displacedRevenue"), displacedProfit,
+    netGain: groupProfit - displacedProfit, minRate,
+    recommendation: reasons.length ? "no-go" : "go", reasons,
+  };
+}
+
+///////////////////////// SELL PATTERNS + MONTE CARLO /////////////////////////
+// A sell pattern is a list of streams, each selling one-night stays on some days:
+// { dows: [0..6] | dates: [ISO date | day offset], mean, sd, rate, segment, channel, ratePlan?, account?, isGroup?,
+//   cancel?, noShow?, cancelLead? } where mean / sd are rooms per day, cancel / noShow are probabilities per room
+//   and cancelLead { mean, sd } is days before arrival a cancel comes in (default: any day from booking to arrival).
+const streamDates = (hotel, s) => (s.dates
+  ? s.dates.map((d) => hotel.dateOf(d))
+  : hotel.dates.filter((d) => s.dows.includes(dayOfWeek(d))));
+
+// Deterministic plan: sell each stream's mean, booked "partial" like a Monte Carlo trial
+function sellPattern(hotel, pattern) {
+  for (const s of pattern) {
+    for (const day of streamDates(hotel, s)) {
+      hotel.sellDay({ day, sold: s.mean, rate: s.rate, segment: s.segment, channel: s.channel, account: s.account, isGroup: s.isGroup, ratePlan: s.ratePlan, onFull: "partial" });
+    }
+  }
+}
+
+// Seeded PRNG (mulberry32): same seed, same trials
+function makeRng(seed = 1) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+const normalDraw = (rng, mean, sd) => mean + sd * Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+const binomialDraw = (rng, n, p) => range(n).filter(() => rng() < p).length;
+
+// Value at percentile p (0..1) of a list, interpolating between ranks
+function percentile(values, p) {
+  const v = [...values].sort((a, b) => a - b);
+  if (!v.length) return 0;
+  const i = (v.length - 1) * p;
+  const lo = Math.floor(i);
+  return v[lo] + (v[Math.min(lo + 1, v.length - 1)] - v[lo]) * (i - lo);
+}
+const bands = (values) => ({
+  p10: percentile(values, 0.1), p50: percentile(values, 0.5), p90: percentile(values, 0.9),
+  mean: values.reduce((a, b) => a + b, 0) / (values.length || 1),
+});
 
-  // NEW: subtract value-add (package) costs from GOP
-  const gop = netRevenue - (cost.total + valueAddCost);
-  const goppar = roomsAvail ? gop / roomsAvail : 0;
+// One stochastic trial on a copy of `base`: each stream's rooms ~ Normal(mean, sd) (rounded, >= 0),
+// booked "partial" so demand over capacity is denied; cancelled rooms are booked then cancelled on a
+// day drawn from the stream's cancelLead (fees only inside the plan's deadline), no-shows booked then
+// marked no-show on the stay date (fees per the rate plan).
+function simulateTrial(base, pattern, rng) {
+  const h = cloneHotel(base);
+  const bookedOn = h.businessDate; // trial stays are booked as of the base's business date
+  const cancelDate = (s, day) => {
+    const window = Math.max(0, daysBetween(bookedOn, day));
+    const lead = s.cancelLead ? Math.round(normalDraw(rng, s.cancelLead.mean, s.cancelLead.sd ?? 0)) : Math.floor(rng() * (window + 1));
+    return addDays(day, -Math.min(window, Math.max(0, lead)));
+  };
+  let cancelledNights = 0, noShowNights = 0;
+  for (const s of pattern) {
+    for (const day of streamDates(h, s)) {
+      const demand = Math.max(0, Math.round(normalDraw(rng, s.mean, s.sd ?? 0)));
+      const cancelled = binomialDraw(rng, demand, s.cancel ?? 0);
+      const noShows = binomialDraw(rng, demand - cancelled, s.noShow ?? 0);
+      const stay = { day, nights: 1, rate: s.rate, segment: s.segment, channel: s.channel, account: s.account, isGroup: s.isGroup, ratePlan: s.ratePlan, onFull: "partial", rateCheck: "flag" };
+      for (const [rooms, then] of [[demand - cancelled - noShows, null], [cancelled, "cancel"], [noShows, "noShow"]]) {
+        if (!rooms) continue;
+        const { id, roomsBooked } = h.addStay({ ...stay, roomsCount: rooms });
+        if (id == null || !then) continue;
+        h[then](id, { at: then === "cancel" ? cancelDate(s, day) : day });
+        if (then === "cancel") cancelledNights += roomsBooked; else noShowNights += roomsBooked;
+      }
+    }
+  }
+  return { hotel: h, cancelledNights, noShowNights };
+}
 
+// Run `trials` seeded trials of `pattern` on top of `base` (the books before the pattern) and report
+// P10 / P50 / P90 (+ mean) for occupancy, RevPAR, GOP, denied / cancelled / no-show nights and weekly group pace.
+// Returns { seed, trials, bands: { occupancy, revpar, gop, deniedNights, cancelledNights, noShowNights },
+//           groupPace: [{ week, from, to, target, nightsOTB: bands, paceVsTarget: bands }] }
+function monteCarlo(base, pattern, { trials = 200, seed = 1, from, to, weeks = WEEKS_AHEAD, weeklyTargets = [] } = {}) {
+  const rng = makeRng(seed);
+  const runs = range(trials).map(() => {
+    const { hotel, cancelledNights, noShowNights } = simulateTrial(base, pattern, rng);
+    const m = hotel.metrics(from, to);
+    return {
+      occupancy: m.occupancy, revpar: m.revpar, gop: m.gop, deniedNights: m.deniedNights, cancelledNights, noShowNights,
+      pace: hotel.groupPace({ startDay: from ?? hotel.startDate, weeks, weeklyTargets }),
+    };
+  });
+  const keys = ["occupancy", "revpar", "gop", "deniedNights", "cancelledNights", "noShowNights"];
   return {
-    sold, revenue, netRevenue, roomsAvail, occupancy, adr, revpar,
-    gop, goppar, valueAddCost, // NEW: expose valueAddCost
-    byChannel, byAccount, bySegment, byRatePlan, groupNights
+    seed, trials,
+    bands: Object.fromEntries(keys.map((k) => [k, bands(runs.map((r) => r[k]))])),
+    groupPace: runs[0]?.pace.map((w, i) => ({
+      week: w.week, from: w.from, to: w.to, target: w.target,
+      nightsOTB: bands(runs.map((r) => r.pace[i].nightsOTB)),
+      paceVsTarget: bands(runs.map((r) => r.pace[i].paceVsTarget)),
+    })) ?? [],
   };
 }
 
-  channelCost(byChannel) {
-    let total = 0;
-    for (const [ch, rev] of Object.entries(byChannel)) {
-      const take = CHANNEL_COST[ch] ?? 0;
-      total += rev * take;
-    }
-    return total;
+///////////////////////// SALES PIPELINE /////////////////////////
+// Lead lifecycle: inquiry -> qualified -> proposal -> tentative -> definite, or lost from any open stage
+const LEAD_STAGES = ["inquiry", "qualified", "proposal", "tentative", "definite", "lost"];
+const LEAD_TRANSITIONS = {
+  inquiry: ["qualified", "proposal", "lost"],
+  qualified: ["proposal", "tentative", "lost"],
+  proposal: ["tentative", "definite", "lost"],
+  tentative: ["definite", "lost"],
+};
+// Chance a lead in each stage books (weighted pipeline)
+const STAGE_PROBABILITY = { inquiry: 0.1, qualified: 0.25, proposal: 0.4, tentative: 0.75, definite: 1, lost: 0 };
+
+// Rate plan a converted lead books on when it does not name one (else LNR for LNR leads, GROUP)
+const LEAD_RATE_PLAN = { Sports: "GROUP_SPORTS", Crew: "LNR", Project: "PROJECT", Relocation: "RELO", ExtendedStay: "LOS30" };
+
+const leadRevenue = (l) => l.rooms * l.nights * l.rate;
+// Hotel for a property code from a Portfolio or a { code -> Hotel } map
+function hotelFor(hotels, code) {
+  if (hotels instanceof Portfolio) return hotels.member(code).hotel;
+  if (!hotels[code]) throw new RangeError(`no hotel for property ${code}`);
+  return hotels[code];
+}
+// [[code, Hotel]] for a Portfolio or a { code -> Hotel } map
+const hotelEntries = (hotels) => (hotels instanceof Portfolio ? hotels.members.map((m) => [m.code, m.hotel]) : Object.entries(hotels));
+// Furthest funnel stage a lead reached (index into LEAD_STAGES, lost excluded)
+const furthestStage = (l) => Math.max(...l.history.filter((h) => h.stage !== "lost").map((h) => LEAD_STAGES.indexOf(h.stage)), 0);
+
+class SalesPipeline {
+  // validation: "strict" throws on unknown segment / channel, "lenient" maps them to Other
+  // businessDate: "today" for the pipeline; stamps stage moves and ages open leads
+  constructor({ validation = "strict", businessDate = START_DATE } = {}) {
+    this.leads = []; // {id, property, segment, channel, rooms, nights, rate, arrival, type: "Lead"|"RFP"|"LNR", account,
+                     //  owner, stage, createdAt, lostReason, history: [{ at, stage, reason? }], qualified, won,
+                     //  booking: { property, kind: "block"|"stay", id } once converted}
+    this.validation = validation;
+    this.businessDate = businessDate;
+  }
+  // `stage` defaults from the legacy booleans: won -> definite, qualified -> qualified, else inquiry
+  addLead(lead) {
+    const { record, remapped } = validateCodes(lead, this.validation, `lead ${lead.id}`);
+    if (this.leads.some((l) => l.id === record.id)) throw new RangeError(`lead ${record.id}: duplicate id`);
+    const stage = record.stage ?? (record.won ? "definite" : record.qualified ? "qualified" : "inquiry");
+    if (!LEAD_STAGES.includes(stage)) throw new TypeError(`lead ${record.id}: unknown stage "${stage}" (use ${LEAD_STAGES.join(", ")})`);
+    const createdAt = record.createdAt ?? this.businessDate;
+    const out = {
+      ...record, owner: record.owner ?? null, stage, createdAt, lostReason: record.lostReason ?? null,
+      history: [{ at: createdAt, stage }],
+      ...(Object.keys(remapped).length ? { remapped } : {}),
+    };
+    this.leads.push(SalesPipeline.flag(out));
+    return out;
   }
 
-  costs({ sold, dayCount }) {
-    const cm = COST_MODEL[this.flag];
-    const varCost = sold * cm.varPOR;
-    const fixedCost = cm.fixedPerDay * dayCount;
-    return { varCost, fixedCost, total: varCost + fixedCost };
+  // qualified / won booleans kept in step with the stage (summary() and older callers read them)
+  static flag(lead) {
+    lead.qualified = furthestStage(lead) >= LEAD_STAGES.indexOf("qualified");
+    lead.won = lead.stage === "definite";
+    return lead;
   }
 
-  // otb  On The Books
-  // Simple "pace" view: group nights OTB for the next weeks vs a target
-  groupPace({ startDay = 0, weeks = WEEKS_AHEAD, weeklyTargets = [] }) {
-    const result = [];
-    for (let w = 0; w < weeks; w++) {
-      const from = startDay + w * 7;
-      const to = Math.min(DAYS - 1, from + 6);
-      let nights = 0;
-      for (let d = from; d <= to; d++) nights += (this.calendar[d]?.groupNights || 0);
-      const target = weeklyTargets[w] ?? 0;
-      result.push({ week: w + 1, nightsOTB: nights, target, paceVsTarget: nights - target });
-    }
-    return result;
+  lead(id) {
+    const l = this.leads.find((x) => x.id === id);
+    if (!l) throw new RangeError(`no lead ${id}`);
+    return l;
   }
-}
 
-class CompSet {
-  constructor(name, revparByDay) {
-    this.name = name;
-    this.revparByDay = revparByDay;
+  // Move a lead along the funnel; definite / lost are final and lost needs a reason
+  advance(id, stage, { at = this.businessDate, reason = null } = {}) {
+    const lead = this.lead(id);
+    const allowed = LEAD_TRANSITIONS[lead.stage] || [];
+    if (!allowed.includes(stage)) throw new Error(`lead ${id} cannot go from ${lead.stage} to ${stage}`);
+    if (stage === "lost" && !reason) throw new TypeError(`lead ${id}: give a reason when marking it lost`);
+    if (at < lead.history[lead.history.length - 1].at) throw new RangeError(`lead ${id}: ${at} is before its last stage move`);
+    lead.history.push({ at, stage, ...(reason ? { reason } : {}) });
+    lead.stage = stage;
+    if (stage === "lost") lead.lostReason = reason;
+    return SalesPipeline.flag(lead);
   }
-  revparAvg(dayStart = 0, dayEnd = DAYS - 1) {
-    let sum = 0, n = 0;
-    for (let d = dayStart; d <= dayEnd; d++) { sum += this.revparByDay[d]; n++; }
-    return n ? sum / n : 0;
+
+  // Book a definite lead on its property's hotel (hotels: Portfolio or { code -> Hotel }) and link both ways
+  // (lead.booking; GroupBlock / reservation leadId). `as` "block" holds the rooms for pickup until
+  // cutoffDays before arrival; "stay" books them outright. Contract segments default to a stay.
+  // Bookings are dated the day the lead went definite. Nothing is booked when the rooms do not fit.
+  // Returns { ok, property, kind, id, deniedNights, violations }
+  convert(id, hotels, {
+    as: kind = SEGMENT_PARENT[this.lead(id).segment] === "Contract" ? "stay" : "block",
+    cutoffDays = 14, attritionPct = 0.2,
+  } = {}) {
+    const lead = this.lead(id);
+    if (lead.stage !== "definite") throw new Error(`lead ${id} is ${lead.stage}; only definite leads convert`);
+    if (lead.booking) throw new Error(`lead ${id} is already booked as ${lead.booking.kind} ${lead.booking.id} at ${lead.booking.property}`);
+    if (kind !== "block" && kind !== "stay") throw new TypeError(`lead ${id}: convert as "block" or "stay", got "${kind}"`);
+    if (!lead.arrival) throw new TypeError(`lead ${id}: no arrival date to book`);
+    const hotel = hotelFor(hotels, lead.property);
+    const ratePlan = lead.ratePlan ?? LEAD_RATE_PLAN[lead.segment] ?? (lead.type === "LNR" ? "LNR" : "GROUP");
+    const bookedOn = lead.history[lead.history.length - 1].at;
+
+    let booked;
+    if (kind === "block") {
+      booked = { ...hotel.addBlock({
+        name: `${lead.account} (lead ${id})`, account: lead.account, arrival: lead.arrival, roomsPerNight: lead.rooms, nights: lead.nights,
+        rate: lead.rate, cutoffDate: addDays(lead.arrival, -cutoffDays), attritionPct, segment: lead.segment, channel: lead.channel, ratePlan, leadId: id,
+      }), violations: [] };
+    } else {
+      const r = hotel.addStay({
+        day: lead.arrival, nights: lead.nights, rate: lead.rate, roomsCount: lead.rooms, segment: lead.segment, channel: lead.channel,
+        account: lead.account, isGroup: true, ratePlan, bookingDate: bookedOn, leadId: id, onFull: "reject", rateCheck: "flag",
+      });
+      booked = { id: r.id, deniedNights: r.deniedNights, violations: r.violations };
+    }
+    if (booked.id == null) return { ok: false, property: lead.property, kind, id: null, deniedNights: booked.deniedNights, violations: booked.violations };
+    lead.booking = { property: lead.property, kind, id: booked.id };
+    return { ok: true, property: lead.property, kind, ...booked };
   }
-}
-// Revenue Generating Index
-const RGI = (hotelRevPAR, compRevPAR) => (hotelRevPAR / compRevPAR) * 100;
 
-///////////////////////// SALES PIPELINE /////////////////////////
-class SalesPipeline {
-  constructor() {
-    this.leads = []; // {id, property, segment, channel, rooms, nights, rate, qualified, won, type: "Lead"|"RFP"|"LNR", account}
+  // Won leads vs what the hotels hold for them over their whole horizon. Rows:
+  // { id, account, property, kind, leadRevenue, bookedRevenue (live reservations linked to the lead),
+  //   heldRevenue (unpicked block rooms still held), variance (booked + held - lead) }
+  reconcile(hotels) {
+    return this.leads.filter((l) => l.won).map((l) => {
+      const row = { id: l.id, account: l.account, property: l.property, kind: l.booking?.kind ?? null, leadRevenue: leadRevenue(l), bookedRevenue: 0, heldRevenue: 0 };
+      if (l.booking) {
+        const hotel = hotelFor(hotels, l.property);
+        for (const res of hotel.reservations) {
+          if (res.leadId === l.id && OTB_STATUSES.includes(res.status)) row.bookedRevenue += res.roomsCount * res.nights * res.rate;
+        }
+        const block = l.booking.kind === "block" ? hotel.block(l.booking.id) : null;
+        if (block && !block.released) {
+          for (const date of block.dates) row.heldRevenue += (hotel.blockHeld(date) - hotel.blockHeld(date, block)) * block.rate;
+        }
+      }
+      row.variance = row.bookedRevenue + row.heldRevenue - row.leadRevenue;
+      return row;
+    });
   }
-  addLead(lead) { this.leads.push(lead); }
+
   summary() {
     const qualified = this.leads.filter(l => l.qualified);
     const won = qualified.filter(l => l.won);
@@ -280,7 +2170,7 @@ class SalesPipeline {
     const countAndRN = (arr) => ({
       count: arr.length,
       roomNights: arr.reduce((s, l) => s + l.rooms * l.nights, 0),
-      revenue: arr.reduce((s, l) => s + l.rooms * l.nights * l.rate, 0),
+      revenue: arr.reduce((s, l) => s + leadRevenue(l), 0),
     });
 
     return {
@@ -291,15 +2181,372 @@ class SalesPipeline {
       lnr: countAndRN(lnrWins),
     };
   }
+
+  // Funnel: leads reaching each stage + conversion to the next, average days from creation to
+  // close (won / lost), average days spent in each stage (open leads age to the business date)
+  // and lost reasons. Returns { stages: [{ stage, reached, conversion }], cycleDays: { won, lost },
+  // daysInStage: { stage -> days }, lostReasons: { reason -> { count, revenue } } }
+  funnel() {
+    const steps = LEAD_STAGES.filter((st) => st !== "lost");
+    const reached = this.leads.map(furthestStage);
+    const stages = steps.map((stage, i) => {
+      const n = reached.filter((r) => r >= i).length;
+      const next = reached.filter((r) => r >= i + 1).length;
+      return { stage, reached: n, conversion: i === steps.length - 1 ? null : n ? next / n : 0 };
+    });
+
+    const mean = (arr) => (arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : null);
+    const closeDays = (stage) => this.leads.filter((l) => l.stage === stage)
+      .map((l) => daysBetween(l.createdAt, l.history[l.history.length - 1].at));
+    const inStage = {};
+    for (const l of this.leads) {
+      l.history.forEach((h, i) => {
+        if (!LEAD_TRANSITIONS[h.stage]) return; // closed
+        (inStage[h.stage] ||= []).push(daysBetween(h.at, l.history[i + 1]?.at ?? this.businessDate));
+      });
+    }
+    const lostReasons = {};
+    for (const l of this.leads.filter((x) => x.stage === "lost")) {
+      const r = (lostReasons[l.lostReason] ||= { count: 0, revenue: 0 });
+      r.count++;
+      r.revenue += leadRevenue(l);
+    }
+    return {
+      stages,
+      cycleDays: { won: mean(closeDays("definite")), lost: mean(closeDays("lost")) },
+      daysInStage: Object.fromEntries(steps.filter((st) => inStage[st]).map((st) => [st, mean(inStage[st])])),
+      lostReasons,
+    };
+  }
+
+  // Win rate on closed leads by "segment" | "type" | "owner" (or any lead field / (lead) => key):
+  // { key -> { closed, won, lost, winRate, wonRevenue } }
+  winRates(by = "segment") {
+    const keyOf = typeof by === "function" ? by : (l) => l[by] ?? "(none)";
+    const out = {};
+    for (const l of this.leads.filter((x) => x.stage === "definite" || x.stage === "lost")) {
+      const r = (out[keyOf(l)] ||= { closed: 0, won: 0, lost: 0, winRate: 0, wonRevenue: 0 });
+      r.closed++;
+      if (l.stage === "definite") { r.won++; r.wonRevenue += leadRevenue(l); } else r.lost++;
+      r.winRate = r.won / r.closed;
+    }
+    return out;
+  }
+
+  // Revenue of leads not lost, by expected arrival month ("YYYY-MM"), weighted by STAGE_PROBABILITY:
+  // { month -> { leads, revenue, weighted } }
+  weightedPipeline(probability = STAGE_PROBABILITY) {
+    const out = {};
+    for (const l of this.leads.filter((x) => x.stage !== "lost")) {
+      const r = (out[l.arrival ? l.arrival.slice(0, 7) : "(no date)"] ||= { leads: 0, revenue: 0, weighted: 0 });
+      r.leads++;
+      r.revenue += leadRevenue(l);
+      r.weighted += leadRevenue(l) * (probability[l.stage] ?? 0);
+    }
+    return Object.fromEntries(Object.entries(out).sort(([a], [b]) => a.localeCompare(b)));
+  }
+}
+
+///////////////////////// ACCOUNTS /////////////////////////
+// A corporate / group account: negotiated (LNR) rates by property code, an annual room-night
+// commitment for the contract year starting contractStart, and an optional parent account
+// (children's production rolls up to the parent in the Top-N report).
+class Account {
+  constructor({ name, parent = null, lnrRates = {}, commitment = 0, contractStart = null, contractEnd = null, owner = null }) {
+    if (!name) throw new TypeError("account needs a name");
+    for (const [field, v] of [["contractStart", contractStart], ["contractEnd", contractEnd]]) {
+      if (v != null && !isISODate(v)) throw new RangeError(`${name}: ${field} must be an ISO date, got ${v}`);
+    }
+    Object.assign(this, { name, parent, lnrRates: { ...lnrRates }, commitment, contractStart, contractEnd, owner });
+  }
+  // Contract in force on an ISO date (open-ended sides count as in force)
+  activeOn(date) {
+    return (this.contractStart == null || date >= this.contractStart) && (this.contractEnd == null || date <= this.contractEnd);
+  }
+}
+
+class AccountRegistry {
+  constructor() {
+    this.accounts = {}; // name -> Account
+  }
+
+  add(spec) {
+    const account = spec instanceof Account ? spec : new Account(spec);
+    if (this.accounts[account.name]) throw new RangeError(`duplicate account ${account.name}`);
+    this.accounts[account.name] = account;
+    return account;
+  }
+
+  get(name) { return this.accounts[name] ?? null; }
+  children(name) { return Object.values(this.accounts).filter((a) => a.parent === name); }
+  // Children, grandchildren, ...
+  descendants(name, seen = new Set([name])) {
+    return this.children(name).filter((c) => !seen.has(c.name) && seen.add(c.name))
+      .flatMap((c) => [c, ...this.descendants(c.name, seen)]);
+  }
+
+  // Top of an account's parent chain (unregistered names are their own top)
+  topOf(name) {
+    const seen = new Set();
+    let a = this.get(name);
+    while (a?.parent && this.get(a.parent) && !seen.has(a.name)) { seen.add(a.name); a = this.get(a.parent); }
+    return a?.name ?? name;
+  }
+
+  // Live room nights of every account with stay dates from..to across hotels (Portfolio or { code -> Hotel }):
+  // { account -> { nights, revenue, onRate, belowRate, ratedNights, byHotel: { code -> { nights, revenue } } } }
+  // ratedNights are nights at hotels where the account has an LNR; onRate / belowRate are those at it (+/- $0.50) / under it.
+  production(hotels, from, to) {
+    const out = {};
+    for (const [code, hotel] of hotelEntries(hotels)) {
+      for (const res of hotel.reservations) {
+        if (!res.account || !OTB_STATUSES.includes(res.status)) continue;
+        const nights = range(res.nights).filter((i) => { const d = addDays(res.arrival, i); return d >= from && d <= to; }).length * res.roomsCount;
+        if (!nights) continue;
+        const p = (out[res.account] ||= { nights: 0, revenue: 0, onRate: 0, belowRate: 0, ratedNights: 0, byHotel: {} });
+        const h = (p.byHotel[code] ||= { nights: 0, revenue: 0 });
+        p.nights += nights; p.revenue += nights * res.rate;
+        h.nights += nights; h.revenue += nights * res.rate;
+        const lnr = this.get(res.account)?.lnrRates[code];
+        if (lnr == null) continue;
+        p.ratedNights += nights;
+        if (Math.abs(res.rate - lnr) <= 0.5) p.onRate += nights;
+        else if (res.rate < lnr) p.belowRate += nights;
+      }
+    }
+    return out;
+  }
+
+  // Top-N accounts by revenue across hotels for stay dates Jan 1..asOf of asOf's year (YTD), children
+  // rolled into parents unless rollup is false. Rows: { rank, account, children, nights, revenue, adr, byHotel,
+  // commitment, ytdCommitment (pro rata to the contract days elapsed this year), vsCommitment,
+  // compliance (on-rate share of nights at LNR hotels), belowRate, lastYear: { nights, revenue } | null,
+  // yoy: { nights, revenue } (% change) | null }
+  // lastYear: the same hotels' books for the prior year (compared over the same dates - 364 days).
+  topN(hotels, { n = 20, asOf = null, rollup = true, lastYear = null } = {}) {
+    asOf ??= hotelEntries(hotels).map(([, h]) => h.endDate).sort().pop();
+    const from = `${asOf.slice(0, 4)}-01-01`;
+    const ty = this.production(hotels, from, asOf);
+    const ly = lastYear ? this.production(lastYear, addDays(from, -364), addDays(asOf, -364)) : null;
+    const keyOf = (name) => (rollup ? this.topOf(name) : name);
+
+    const rows = {};
+    const sumInto = (row, p) => {
+      for (const k of ["nights", "revenue", "onRate", "belowRate", "ratedNights"]) row[k] += p[k];
+      for (const [code, h] of Object.entries(p.byHotel)) {
+        const c = (row.byHotel[code] ||= { nights: 0, revenue: 0 });
+        c.nights += h.nights; c.revenue += h.revenue;
+      }
+    };
+    const rowFor = (name) => (rows[name] ||= { account: name, children: [], nights: 0, revenue: 0, onRate: 0, belowRate: 0, ratedNights: 0, byHotel: {}, lastYear: ly && { nights: 0, revenue: 0 } });
+    for (const [name, p] of Object.entries(ty)) {
+      const row = rowFor(keyOf(name));
+      if (name !== row.account) row.children.push(name);
+      sumInto(row, p);
+    }
+    for (const [name, p] of Object.entries(ly ?? {})) {
+      const row = rowFor(keyOf(name));
+      row.lastYear.nights += p.nights; row.lastYear.revenue += p.revenue;
+    }
+
+    // commitment: the account's own plus its descendants' when rolled up, pro rata over this year's contract days
+    const yearDays = daysBetween(from, `${+asOf.slice(0, 4) + 1}-01-01`);
+    const accountsIn = (name) => [this.get(name), ...(rollup ? this.descendants(name) : [])].filter(Boolean);
+    const pct = (now, then) => (then ? now / then - 1 : null);
+    return Object.values(rows)
+      .sort((a, b) => b.revenue - a.revenue)
+      .slice(0, n)
+      .map((row, i) => {
+        const accounts = accountsIn(row.account);
+        const commitment = accounts.reduce((s, a) => s + a.commitment, 0);
+        const ytdCommitment = accounts.reduce((s, a) => s + a.commitment * dateRange(from, asOf).filter((d) => a.activeOn(d)).length / yearDays, 0);
+        const { onRate, ratedNights, ...rest } = row;
+        return {
+          rank: i + 1, ...rest,
+          adr: row.nights ? row.revenue / row.nights : 0,
+          commitment: accounts.length ? commitment : null,
+          ytdCommitment: accounts.length ? ytdCommitment : null,
+          vsCommitment: ytdCommitment ? row.nights / ytdCommitment : null,
+          compliance: ratedNights ? onRate / ratedNights : null,
+          yoy: row.lastYear && { nights: pct(row.nights, row.lastYear.nights), revenue: pct(row.revenue, row.lastYear.revenue) },
+        };
+      });
+  }
+}
+
+///////////////////////// IMPORT (PMS / channel-manager exports) /////////////////////////
+// Export column (header) for each reservation field; headers match case-insensitively
+const IMPORT_COLUMNS = {
+  arrival: "arrival", departure: "departure", rooms: "rooms", rate: "rate",
+  segment: "segment", channel: "channel", ratePlan: "rate_plan", account: "account",
+  isGroup: "group", bookingDate: "booking_date",
+};
+const IMPORT_REQUIRED = ["arrival", "departure", "rooms", "rate"];
+
+// Export codes -> sim codes (matched as given, then upper-cased); codes the sim already knows pass through
+const IMPORT_CODE_MAP = {
+  segment: {
+    CORP: "Corporate", BUS: "Corporate", LEIS: "Leisure", TRAN: "Leisure", GOV: "Government",
+    GRP: "Group", SMERF: "SMERF", SPORT: "Sports", CREW: "Crew", PROJ: "Project", RELO: "Relocation", EXT: "ExtendedStay",
+  },
+  channel: {
+    WALKIN: "Direct", PROPERTY: "Direct", PHONE: "Voice", CRO: "Voice", WEB: "Brand", "BRAND.COM": "Brand",
+    GDS: "GDS", BOOKINGCOM: "OTA", EXPEDIA: "OTA", OTA: "OTA", HOTELBEDS: "Wholesale", LNR: "LNR",
+  },
+  ratePlan: { RACK: "BAR", BAR: "BAR", AAA: "MEMBER", ADV14: "AP", GRP: "GROUP" },
+};
+
+const TRUE_FLAGS = ["y", "yes", "true", "1", "g"];
+const FALSE_FLAGS = ["n", "no", "false", "0", ""];
+
+// Minimal RFC 4180 CSV: quoted fields may hold commas, doubled quotes and newlines.
+// Returns [{ line, values }] with the 1-based line each record starts on; blank lines are skipped.
+function parseCsv(text) {
+  const records = [];
+  let values = [], field = "", quoted = false, line = 1, start = 1;
+  const endRecord = () => {
+    values.push(field);
+    if (values.some((v) => v.trim() !== "")) records.push({ line: start, values });
+    values = []; field = "";
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === "\n") line++; field += ch; }
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { values.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      start = ++line;
+    } else field += ch;
+  }
+  endRecord();
+  return records;
+}
+
+// Raw export rows -> [{ line, raw: { field -> string } }] through `columns`; header problems come back as errors
+function importRows(input, format, columns) {
+  const errors = [];
+  if (format === "csv") {
+    const [header, ...records] = parseCsv(input);
+    const names = (header?.values ?? []).map((h) => h.trim().toLowerCase());
+    const index = Object.fromEntries(Object.entries(columns).map(([f, col]) => [f, names.indexOf(col.toLowerCase())]));
+    for (const f of IMPORT_REQUIRED) {
+      if (index[f] < 0) errors.push({ line: header?.line ?? 1, field: f, value: null, message: `missing column "${columns[f]}"` });
+    }
+    if (errors.length) return { rows: [], errors };
+    const rows = records.map(({ line, values }) => ({
+      line, raw: Object.fromEntries(Object.keys(columns).map((f) => [f, index[f] < 0 ? "" : (values[index[f]] ?? "").trim()])),
+    }));
+    return { rows, errors };
+  }
+  if (format === "json") {
+    let data = input;
+    if (typeof input === "string") {
+      try { data = JSON.parse(input); } catch (e) { return { rows: [], errors: [{ line: 0, field: null, value: null, message: `invalid JSON: ${e.message}` }] }; }
+    }
+    if (!Array.isArray(data)) return { rows: [], errors: [{ line: 0, field: null, value: null, message: "JSON export must be an array of reservations" }] };
+    const rows = [];
+    data.forEach((obj, i) => {
+      if (obj === null || typeof obj !== "object" || Array.isArray(obj)) {
+        errors.push({ line: i + 1, field: null, value: obj, message: "reservation must be a JSON object" });
+        return;
+      }
+      rows.push({ line: i + 1, raw: Object.fromEntries(Object.entries(columns).map(([f, col]) => [f, String(obj[col] ?? obj[f] ?? "").trim()])) });
+    });
+    return { rows, errors };
+  }
+  throw new TypeError(`unknown import format "${format}" (use csv or json)`);
+}
+
+// Validate one mapped row for `hotel`; returns { stay, errors } (stay is null when any field is bad)
+function importStay(hotel, { line, raw }, codeMap) {
+  const errors = [];
+  const bad = (field, message) => errors.push({ line, field, value: raw[field], message });
+  const code = (field, fallback) => {
+    const v = raw[field] || fallback;
+    return codeMap[field]?.[v] ?? codeMap[field]?.[v.toUpperCase()] ?? v;
+  };
+
+  for (const f of IMPORT_REQUIRED) if (raw[f] === "") bad(f, "is required");
+  const { arrival, departure } = raw;
+  if (arrival && !isISODate(arrival)) bad("arrival", "must be an ISO date (YYYY-MM-DD)");
+  if (departure && !isISODate(departure)) bad("departure", "must be an ISO date (YYYY-MM-DD)");
+  const nights = isISODate(arrival) && isISODate(departure) ? daysBetween(arrival, departure) : null;
+  if (nights != null && nights < 1) bad("departure", "must be after arrival");
+  if (nights >= 1 && (arrival < hotel.startDate || addDays(departure, -1) > hotel.endDate)) {
+    bad("arrival", `stay ${arrival}..${departure} is outside the horizon ${hotel.startDate}..${hotel.endDate}`);
+  } else if (nights >= 1 && hotel.closedNights(arrival, nights).length) {
+    bad("arrival", `stay covers night(s) already closed by the night audit: ${hotel.closedNights(arrival, nights).join(", ")}`);
+  }
+  const rooms = Number(raw.rooms);
+  if (raw.rooms !== "" && !(Number.isInteger(rooms) && rooms >= 1)) bad("rooms", "must be a whole number of rooms (>= 1)");
+  const rate = Number(raw.rate.replace(/^\$/, ""));
+  if (raw.rate !== "" && !(Number.isFinite(rate) && rate >= 0)) bad("rate", "must be a non-negative number");
+
+  const segment = code("segment", "Other");
+  const channel = code("channel", "Direct");
+  if (hotel.validation === "strict") {
+    if (!ALLOWED_SEGMENTS.includes(segment)) bad("segment", `unmapped segment code (allowed: ${ALLOWED_SEGMENTS.join(", ")})`);
+    if (!ALLOWED_CHANNELS.includes(channel)) bad("channel", `unmapped channel code (allowed: ${ALLOWED_CHANNELS.join(", ")})`);
+  }
+  const ratePlan = code("ratePlan", "BAR");
+  if (!hotel.ratePlans[ratePlan]) bad("ratePlan", `unknown rate plan (known: ${Object.keys(hotel.ratePlans).join(", ")})`);
+
+  const flag = raw.isGroup.toLowerCase();
+  if (![...TRUE_FLAGS, ...FALSE_FLAGS].includes(flag)) bad("isGroup", "must be Y/N");
+  const bookingDate = raw.bookingDate || hotel.businessDate;
+  if (!isISODate(bookingDate)) bad("bookingDate", "must be an ISO date (YYYY-MM-DD)");
+  else if (isISODate(arrival) && bookingDate > arrival) bad("bookingDate", "is after arrival");
+
+  if (errors.length) return { stay: null, errors };
+  return {
+    stay: { day: arrival, nights, rate, roomsCount: rooms, segment, channel, ratePlan, account: raw.account || null, isGroup: TRUE_FLAGS.includes(flag), bookingDate },
+    errors,
+  };
+}
+
+// Load reservation exports (CSV text, JSON text or an array of objects) into `hotel`.
+// Columns map through `columns`, codes through `codeMap`, and every row is validated: bad rows come
+// back as { line, field, value, message } (line: CSV line, or JSON array position from 1) and are
+// skipped, or with onError "abort" nothing loads. Valid rows book via addStay with rate restrictions
+// flagged rather than enforced (the booking already happened); capacity still applies.
+// Returns { rows, loaded: [reservation id], errors, denied: [{ line, roomsDenied, deniedNights }] }
+function importReservations(hotel, input, { format = "csv", columns = IMPORT_COLUMNS, codeMap = IMPORT_CODE_MAP, onError = "skip" } = {}) {
+  if (onError !== "skip" && onError !== "abort") throw new TypeError(`unknown onError mode "${onError}"`);
+  const { rows, errors } = importRows(input, format, { ...IMPORT_COLUMNS, ...columns });
+  const valid = [];
+  for (const row of rows) {
+    const { stay, errors: rowErrors } = importStay(hotel, row, codeMap);
+    errors.push(...rowErrors);
+    if (stay) valid.push({ line: row.line, stay });
+  }
+  const out = { rows: rows.length, loaded: [], errors, denied: [] };
+  if (errors.length && onError === "abort") return out;
+  for (const { line, stay } of valid) {
+    const r = hotel.addStay({ ...stay, rateCheck: "flag" });
+    if (r.id != null) out.loaded.push(r.id);
+    if (r.roomsDenied) out.denied.push({ line, roomsDenied: r.roomsDenied, deniedNights: r.deniedNights });
+  }
+  return out;
+}
+
+// importReservations from a file; format from the extension (.json, else CSV)
+function importReservationsFile(hotel, path, opts = {}) {
+  const text = require("fs").readFileSync(path, "utf8");
+  return importReservations(hotel, text, { format: path.toLowerCase().endsWith(".json") ? "json" : "csv", ...opts });
 }
 
 ///////////////////////// SCENARIO SETUP /////////////////////////
 // Instantiate hotels with your real key counts.
-const fairfield = new Hotel("Fairfield Inn & Suites", 86, "FFI");
+const fairfield = new Hotel("Fairfield Inn & Suites", 86, "FFI", { validation: "lenient" }); // legacy "Transient" Sunday stays map to Other
 const townePlace = new Hotel("TownePlace Suites", 63, "TPS");
 
 
-const fairfieldNorth = new Hotel("Fairfield Inn & Suites", 89, "ABQFN");
+const fairfieldNorth = new Hotel("Fairfield Inn & Suites", 89, "ABQFN", { costModel: COST_MODEL.FFI });
 
 
 fairfieldNorth.sellDay({
@@ -314,42 +2561,67 @@ fairfieldNorth.sellDay({
   valueAddCost: 25.00  // meeting room setup + continental breakfast
 });
 
-
-
-// Simple weekly pattern placeholder (edit freely)
+// ABQFN books come from the PMS export (importReservationsFile(fairfieldNorth, "abqfn_res.csv") for a real file)
+const abqfnExport = `Arrival,Departure,Rooms,Rate,Segment,Channel,Rate_Plan,Account,Group,Booking_Date
+2025-09-05,2025-09-07,22,149,LEIS,BOOKINGCOM,RACK,,N,2025-08-12
+2025-09-08,2025-09-11,14,139,CORP,GDS,BAR,"Sandia Labs, Div. 5",N,2025-08-20
+2025-09-12,2025-09-14,25,154,LEIS,BRAND.COM,AAA,,N,2025-08-28
+2025-09-15,2025-09-19,30,129,GRP,PROPERTY,GRP,NM Rail Runner,Y,2025-07-01
+2025-09-20,2025-09-19,4,139,CORP,GDS,BAR,,N,2025-08-30
+2025-09-22,2025-09-24,6,119,LEIS,TRIVAGO,RACK,,N,2025-08-31
+`;
+const abqfnImport = importReservations(fairfieldNorth, abqfnExport);
+
+
+
+// Sales pipeline: a few sample leads for KPI demos, then their stage moves
+const pipeline = new SalesPipeline({ businessDate: "2025-08-25", validation: "lenient" }); // CRM codes outside ALLOWED_SEGMENTS map to Other
+pipeline.addLead({ id: 1, property: "TPS", type: "LNR", segment: "Crew", channel: "Direct", rooms: 12, nights: 21, rate: 117, arrival: "2025-09-06", account: "NorthGrid Electric", owner: "R. Chavez", createdAt: "2025-06-02" });
+pipeline.addLead({ id: 2, property: "FFI", type: "RFP", segment: "Corporate", channel: "GDS", rooms: 15, nights: 2, rate: 145, arrival: "2025-09-11", account: "OmniTech", owner: "K. Lee", createdAt: "2025-06-16" });
+pipeline.addLead({ id: 3, property: "FFI", type: "Lead", segment: "Sports", channel: "Direct", rooms: 20, nights: 2, rate: 169, arrival: "2025-09-19", account: "State Swim Assoc.", owner: "K. Lee", createdAt: "2025-07-01" });
+pipeline.addLead({ id: 4, property: "TPS", type: "RFP", segment: "Medical", channel: "Direct", rooms: 8, nights: 30, rate: 120, arrival: "2025-09-01", account: "Venture Dialysis", owner: "R. Chavez", createdAt: "2025-05-12" });
+pipeline.addLead({ id: 5, property: "FFI", type: "LNR", segment: "Corporate", channel: "GDS", rooms: 5, nights: 20, rate: 135, arrival: "2025-09-04", account: "K&J Engineering", owner: "K. Lee", createdAt: "2025-08-11" });
+pipeline.addLead({ id: 6, property: "FFI", type: "Lead", segment: "SMERF", channel: "Direct", rooms: 12, nights: 2, rate: 139, arrival: "2025-09-26", account: "Sandia HS Reunion", owner: "R. Chavez", createdAt: "2025-07-21" });
+pipeline.addLead({ id: 7, property: "TPS", type: "RFP", segment: "Project", channel: "Direct", rooms: 10, nights: 45, rate: 112, arrival: "2025-10-13", account: "Mesa Builders", owner: "R. Chavez", createdAt: "2025-08-04" });
+pipeline.addLead({ id: 8, property: "FFI", type: "RFP", segment: "Government", channel: "GDS", rooms: 6, nights: 3, rate: 128, arrival: "2025-10-07", account: "NM Dept. of Health", owner: "K. Lee", createdAt: "2025-08-18" });
+// [id, stage, at, lostReason]
+[
+  [1, "qualified", "2025-06-04"], [1, "proposal", "2025-06-11"], [1, "definite", "2025-07-02"],
+  [2, "qualified", "2025-06-17"], [2, "proposal", "2025-06-24"], [2, "lost", "2025-07-15", "rate"],
+  [3, "qualified", "2025-07-03"], [3, "tentative", "2025-07-10"], [3, "definite", "2025-08-01"],
+  [4, "qualified", "2025-05-13"], [4, "proposal", "2025-05-20"], [4, "tentative", "2025-06-03"], [4, "definite", "2025-06-20"],
+  [6, "qualified", "2025-07-22"], [6, "proposal", "2025-07-30"], [6, "tentative", "2025-08-12"],
+  [7, "qualified", "2025-08-06"], [7, "proposal", "2025-08-15"],
+  [8, "lost", "2025-08-20", "no availability"],
+].forEach(([id, stage, at, reason]) => pipeline.advance(id, stage, { at, reason }));
+
+// Won leads go on the books of their hotel (by property code) ahead of the transient patterns;
+// contract business books as stays, groups as blocks that pick up over time
+const hotelsByCode = { FFI: fairfield, TPS: townePlace, ABQFN: fairfieldNorth };
+const convertAs = { 4: "stay" }; // lead 4's "Medical" segment was remapped to Other, but it is a 30-night contract
+const conversions = Object.fromEntries(pipeline.leads.filter((l) => l.won).map((l) => [l.id, pipeline.convert(l.id, hotelsByCode, { as: convertAs[l.id] })]));
+if (!conversions[3].ok) throw new Error(`lead 3 (State Swim Assoc.) did not convert: ${JSON.stringify(conversions[3].deniedNights)}`);
+const swimBlock = conversions[3].id;
+fairfield.pickupBlock(swimBlock, { roomsCount: 16 }); // rooming list so far
+
+// Simple weekly pattern placeholder (edit freely); sd / cancel / noShow only matter to monteCarlo()
 // - Fairfield: stronger Fri/Sat, decent Mon-Thu, soft Sun
 // - TownePlace: steady base + some weekday transient
-const isWeekend = (d) => {
-  const dow = d % 7; // 0=Mon ... 6=Sun (change if you prefer 0=Sun)
-  return dow === 5 || dow === 6; // Sat or Sun in this mapping? -> Here 5=Sat, 6=Sun (Mon=0)
-};
 
 // FFI fill pattern
-range(DAYS).forEach((d) => {
-  if (isWeekend(d)) {
-    fairfield.sellDay({ day: d, sold: 70, rate: 175, segment: "Leisure", channel: "Brand" });
-  } else {
-    const dow = d % 7;
-    if (dow === 6) { // Sun (softer)
-      fairfield.sellDay({ day: d, sold: 48, rate: 129, segment: "Transient", channel: "Brand" });
-    } else {
-      fairfield.sellDay({ day: d, sold: 58, rate: 139, segment: "Corporate", channel: "GDS" });
-    }
-  }
-});
-// A couple compression bumps (sports weekends / events)
-// Use a distinct ratePlan so you can report by plan later.
-[8, 18, 26].forEach((d) =>
-  fairfield.sellDay({
-    day: d,
-    sold: 8,
-    rate: 209,
-    segment: "Sports",
-    channel: "Direct",
-    isGroup: true,
-    ratePlan: "GROUP_SPORTS" // e.g., "GROUP", "EVENT", or "PKG_*" if you ever bundle
-  })
-);
+const ffiPattern = [
+  { dows: [5, 6],       mean: 70, sd: 8, rate: 175, segment: "Leisure",   channel: "Brand", ratePlan: "MEMBER", cancel: 0.10, noShow: 0.02 },
+  { dows: [0],          mean: 48, sd: 7, rate: 129, segment: "Transient", channel: "Brand", cancel: 0.10, noShow: 0.02 }, // Sun (softer)
+  { dows: [1, 2, 3, 4], mean: 58, sd: 6, rate: 139, segment: "Corporate", channel: "GDS",   cancel: 0.08, noShow: 0.04 },
+  // A couple compression bumps (sports weekends / events)
+  // Use a distinct ratePlan so you can report by plan later.
+  { dates: [8, 18, 26], mean: 8, sd: 3, rate: 209, segment: "Sports", channel: "Direct", isGroup: true,
+    ratePlan: "GROUP_SPORTS" }, // e.g., "GROUP", "EVENT", or "PKG_*" if you ever bundle
+];
+// Points redemptions on a Fri / Sat (reward nights take rooms the weekend pattern would have sold)
+fairfield.redeemRewardNights({ day: "2025-09-19", nights: 2, roomsCount: 10, loyaltyTier: "Platinum" });
+const ffiBase = cloneHotel(fairfield); // books before the pattern (Monte Carlo trials start here)
+sellPattern(fairfield, ffiPattern);
 
 // TPS base (extended stay crews / relocation) + light transient
 townePlace.addStay({
@@ -389,178 +2661,704 @@ townePlace.addStay({
 });
 
 
-range(DAYS).forEach((d) => {
-  if (isWeekend(d)) {
-    // Weekend leisure via OTA at public BAR (channel cost handled by "OTA")
-    townePlace.sellDay({
-      day: d,
-      sold: 6,
-      rate: 132,
-      segment: "Leisure",
-      channel: "OTA",
-      ratePlan: "BAR"
-    });
-  } else {
-    // Weekday corporate via GDS (negotiated/managed corp)
-    townePlace.sellDay({
-      day: d,
-      sold: 8,
-      rate: 138,
-      segment: "Corporate",
-      channel: "GDS",
-      ratePlan: "CORP" // or "LNR" if you want to treat it as a local negotiated rate
-    });
-  }
-});
-
+// TPS transient pattern
+const tpsPattern = [
+  // Weekend leisure via OTA at public BAR (channel cost handled by "OTA")
+  { dows: [5, 6], mean: 6, sd: 2, rate: 132, segment: "Leisure", channel: "OTA", ratePlan: "BAR", cancel: 0.15, noShow: 0.03 },
+  // Weekday corporate via GDS (negotiated/managed corp); "LNR" if you treat it as a local negotiated rate
+  { dows: [0, 1, 2, 3, 4], mean: 8, sd: 3, rate: 138, segment: "Corporate", channel: "GDS", ratePlan: "CORP", cancel: 0.08, noShow: 0.04 },
+];
+const tpsBase = cloneHotel(townePlace); // contract base only
+sellPattern(townePlace, tpsPattern);
 
-// Build simple comp sets (RevPAR only; tweak to taste)
-const compFFI = new CompSet("FFI Comp", range(DAYS).map((d) => {
-  const dow = d % 7;          // 0=Mon ... 6=Sun
-  const isSat = dow === 5;
-  const isSun = dow === 6;
 
-  // Example: Sat strong, Sun soft, weekdays steady
-  const occ = isSat ? 0.86 : isSun ? 0.58 : 0.65;
-  const adr = isSat ? 165   : isSun ? 122   : 132;
+// Build simple comp sets (occ + ADR by day; tweak to taste)
+// FFI comp: weekend (Fri / Sat nights) strong, Sun soft, weekdays steady; 75/15/10 transient/group/contract mix
+const ffiCompDay = (d, occF = 1, adrF = 1) => {
+  const weekend = isWeekend(d);
+  const isSun = dayOfWeek(d) === 0; // 0=Sun ... 6=Sat
 
-  return occ * adr;           // RevPAR = Occ * ADR
-}));
+  const occ = (weekend ? 0.86 : isSun ? 0.58 : 0.65) * occF;
+  const adr = (weekend ? 165   : isSun ? 122   : 132) * adrF;
 
-const compTPS = new CompSet("TPS Comp", range(DAYS).map(() => 0.80 * 123)); // steady 80% @ $123 ADR
+  return { occ, adr, bySegment: {
+    Transient: { occ: occ * 0.75, adr: adr * 1.02 },
+    Group:     { occ: occ * 0.15, adr: adr * 0.93 },
+    Contract:  { occ: occ * 0.10, adr: adr * 0.90 },
+  } };
+};
+const ffiCompMember = (name, keys, occF, adrF) =>
+  ({ name, keys, days: Object.fromEntries(fairfield.dates.map((d) => [d, ffiCompDay(d, occF, adrF)])) });
+const compFFI = new CompSet("FFI Comp", null, fairfield.startDate, { members: [
+  ffiCompMember("Hampton Inn", 96, 1.04, 1.03),
+  ffiCompMember("Holiday Inn Express", 80, 0.97, 0.99),
+  ffiCompMember("Comfort Suites", 102, 1.00, 0.96),
+  ffiCompMember("Courtyard", 74, 0.99, 1.02),
+] });
+
+const compTPS = new CompSet("TPS Comp", townePlace.dates.map(() => ({ occ: 0.80, adr: 123 })), townePlace.startDate, { keys: 410 }); // steady 80% @ $123 ADR
+const compFFN = new CompSet("FFI North Comp", fairfieldNorth.dates.map(() => ({ occ: 0.68, adr: 128 })), fairfieldNorth.startDate); // steady 68% @ $128 ADR
+
+// Every property we report on; the FFI + TPS campus is one market
+const portfolio = new Portfolio("ABQ Portfolio")
+  .add(fairfield, { code: "FFI", comp: compFFI, brand: "Fairfield", market: "ABQ Campus" })
+  .add(townePlace, { code: "TPS", comp: compTPS, brand: "TownePlace", market: "ABQ Campus" })
+  .add(fairfieldNorth, { code: "ABQFN", comp: compFFN, brand: "Fairfield", market: "ABQ North" });
+
+// Account contracts (LNR rates by property, annual room-night commitments)
+const accounts = new AccountRegistry();
+accounts.add({ name: "ACME Energy", owner: "R. Chavez" });
+accounts.add({ name: "ACME Utilities", parent: "ACME Energy", lnrRates: { TPS: 119 }, commitment: 6500, contractStart: "2025-01-01", contractEnd: "2025-12-31" });
+accounts.add({ name: "NorthGrid Electric", parent: "ACME Energy", lnrRates: { TPS: 117 }, commitment: 3000, contractStart: "2025-06-15", contractEnd: "2026-06-14" });
+accounts.add({ name: "TriCity Hospital", lnrRates: { TPS: 116, FFI: 129 }, commitment: 1500, contractStart: "2025-01-01", contractEnd: "2025-12-31", owner: "R. Chavez" });
+accounts.add({ name: "State DOT", lnrRates: { TPS: 121 }, commitment: 1200, contractStart: "2025-03-01", contractEnd: "2026-02-28", owner: "K. Lee" });
+accounts.add({ name: "Microsoft Corp", lnrRates: { ABQFN: 135, FFI: 139 }, commitment: 800, contractStart: "2025-01-01", contractEnd: "2025-12-31", owner: "K. Lee" });
+accounts.add({ name: "Venture Dialysis", lnrRates: { TPS: 120 }, commitment: 2900, contractStart: "2025-09-01", contractEnd: "2026-08-31", owner: "R. Chavez" });
 
-// Sales pipeline: a few sample leads (qualified/won) for KPI demos
-const pipeline = new SalesPipeline();
-pipeline.addLead({ id: 1, property: "TPS", type: "LNR", segment: "Crew", channel: "Direct", rooms: 12, nights: 21, rate: 117, qualified: true, won: true, account: "NorthGrid Electric" });
-pipeline.addLead({ id: 2, property: "FFI", type: "RFP", segment: "Corporate", channel: "GDS", rooms: 15, nights: 2, rate: 145, qualified: true, won: false, account: "OmniTech" });
-pipeline.addLead({ id: 3, property: "FFI", type: "Lead", segment: "Sports", channel: "Direct", rooms: 20, nights: 2, rate: 169, qualified: true, won: true, account: "State Swim Assoc." });
-pipeline.addLead({ id: 4, property: "TPS", type: "RFP", segment: "Medical", channel: "Direct", rooms: 8, nights: 30, rate: 120, qualified: true, won: true, account: "Venture Dialysis" });
-pipeline.addLead({ id: 5, property: "FFI", type: "LNR", segment: "Corporate", channel: "GDS", rooms: 5, nights: 20, rate: 135, qualified: false, won: false, account: "K&J Engineering" });
 //On The Books
 // Group pace targets (OTB vs target) for next 4 weeks (edit to your plan)
 const ffiPaceTargets = [220, 180, 160, 200]; // group room nights target by week
 const tpsPaceTargets = [300, 280, 260, 240];
 
-///////////////////////// CALCULATIONS /////////////////////////
-const ffi = fairfield.metrics();
-const tps = townePlace.metrics();
-
-const campus = {
-  sold: ffi.sold + tps.sold,
-  revenue: ffi.revenue + tps.revenue,
-  netRevenue: ffi.netRevenue + tps.netRevenue,
-  roomsAvail: (fairfield.rooms + townePlace.rooms) * DAYS,
-};
-campus.occupancy = campus.sold / campus.roomsAvail;
-campus.adr = campus.sold ? campus.revenue / campus.sold : 0;
-campus.revpar = campus.roomsAvail ? campus.revenue / campus.roomsAvail : 0;
-
-// Comp set blended RevPAR (weighted by keys)
-const ffiCompRevPAR = compFFI.revparAvg();
-const tpsCompRevPAR = compTPS.revparAvg();
-const campusCompRevPAR = (ffiCompRevPAR * fairfield.rooms + tpsCompRevPAR * townePlace.rooms) / (fairfield.rooms + townePlace.rooms);
-
-// RGI
-const ffiRGI = RGI(ffi.revpar, ffiCompRevPAR);
-const tpsRGI = RGI(tps.revpar, tpsCompRevPAR);
-const campusRGI = RGI(campus.revpar, campusCompRevPAR);
-
-// Pace (next 4 weeks from day 0)
-const ffiPace = fairfield.groupPace({ startDay: 0, weeks: WEEKS_AHEAD, weeklyTargets: ffiPaceTargets });
-const tpsPace = townePlace.groupPace({ startDay: 0, weeks: WEEKS_AHEAD, weeklyTargets: tpsPaceTargets });
+// What-ifs compared against the base portfolio (see SCENARIO_OPS)
+const scenarios = [
+  { name: "TPS +6 crew rooms", ops: [
+    { op: "addStay", hotel: "TPS", day: 0, nights: 30, rate: 118, roomsCount: 6, segment: "Crew", channel: "LNR", account: "GridBuild JV", isGroup: true },
+  ] },
+  { name: "OTA merchant 22%", ops: [{ op: "channelCost", channel: "OTA", take: 0.22 }] },
+  { name: "FFI corporate +5%", ops: [{ op: "changeRate", hotel: "FFI", pct: 0.05, segment: "Corporate" }] },
+  { name: "Comp market +5% occ", ops: [{ op: "compStrength", occ: 1.05 }] },
+  { name: "Lose ACME Utilities", ops: [{ op: "cancelAccount", account: "ACME Utilities" }] },
+];
 
-// Lead / RFP / LNR summary
-const salesSummary = pipeline.summary();
+///////////////////////// CALCULATIONS /////////////////////////
+// d: ISO date or day offset; pass `to` to get every day in d..to
+// Rows: { date, occ, adr, revpar, compRevPAR, rgi, mpi, ari } (mpi / ari null when the comp has RevPAR only)
+function dayRows(hotel, comp, d, to = d) {
+  return hotel.datesBetween(d, to).map((date) => {
+    const keys = hotel.rooms;
+    const c = hotel.calendar[date];
+    const occ = c.sold / keys;
+    const adr = c.sold ? c.revenue / c.sold : 0;
+    const revpar = c.revenue / keys;
 
-// Top accounts (by revenue) — show top 5 for each
-function topNAccounts(byAccount, n = 5) {
-  return Object.entries(byAccount)
-    .map(([k, v]) => ({ account: k, nights: v.nights, revenue: v.revenue }))
-    .sort((a, b) => b.revenue - a.revenue)
-    .slice(0, n);
+    const compRevPAR = comp.revparOn(date);
+    const rgi = compRevPAR ? (revpar / compRevPAR) * 100 : 0;
+    return { date, occ, adr, revpar, compRevPAR, rgi, mpi: index(occ, comp.occOn(date)), ari: index(adr, comp.adrOn(date)) };
+  });
 }
-const ffiTop = topNAccounts(ffi.byAccount);
-const tpsTop = topNAccounts(tps.byAccount);
 
-function inspectDay(hotel, comp, d) {
-  const keys = hotel.rooms;
-  const c = hotel.calendar[d];
-  const occ = c.sold / keys;
-  const adr = c.sold ? c.revenue / c.sold : 0;
-  const hotelRevPAR = c.revenue / keys;
-
-  const compRevPAR = comp.revparByDay[d] ?? 0;
-  const rgi = compRevPAR ? (hotelRevPAR / compRevPAR) * 100 : 0;
-
-  console.log(`Day ${d}: occ=${(occ*100).toFixed(1)}% adr=$${adr.toFixed(2)} revpar=$${hotelRevPAR.toFixed(2)} | comp=$${compRevPAR.toFixed(2)} | RGI=${rgi.toFixed(1)}`);
+function inspectDay(hotel, comp, d, to = d) {
+  for (const { date, occ, adr, revpar, compRevPAR, rgi, mpi, ari } of dayRows(hotel, comp, d, to)) {
+    const indices = mpi == null ? "" : ` | MPI=${mpi.toFixed(1)} ARI=${ari.toFixed(1)}`;
+    console.log(`${date}: occ=${(occ*100).toFixed(1)}% adr=$${adr.toFixed(2)} revpar=$${revpar.toFixed(2)} | comp=$${compRevPAR.toFixed(2)} | RGI=${rgi.toFixed(1)}${indices}`);
+  }
 }
 
 
-function makeCompFromHotel(hotel, occFactor = 0.95, adrFactor = 0.97) {
-  const series = range(DAYS).map(d => {
+function makeCompFromHotel(hotel, occFactor = 0.95, adrFactor = 0.97, from = hotel.startDate, to = hotel.endDate) {
+  const series = Object.fromEntries(hotel.datesBetween(from, to).map(d => {
     const c = hotel.calendar[d];
     const occ = c.sold / hotel.rooms;
     const adr = c.sold ? c.revenue / c.sold : 0;
-    return (occ * occFactor) * (adr * adrFactor); // comp a bit softer
-  });
+    return [d, { occ: occ * occFactor, adr: adr * adrFactor }]; // comp a bit softer
+  }));
   return new CompSet(`${hotel.name} Comp`, series);
 }
 
 // Example:
 // const compFFI = makeCompFromHotel(fairfield, 0.96, 0.98);
 
-function compFromTargetRGI(hotel, targetRGI = 100) {
-  const series = range(DAYS).map(d => {
+function compFromTargetRGI(hotel, targetRGI = 100, from = hotel.startDate, to = hotel.endDate) {
+  const series = Object.fromEntries(hotel.datesBetween(from, to).map(d => {
     const revparHotel = hotel.calendar[d].revenue / hotel.rooms;
-    return targetRGI ? (revparHotel * 100) / targetRGI : 0; // comp RevPAR
-  });
+    return [d, targetRGI ? (revparHotel * 100) / targetRGI : 0]; // comp RevPAR
+  }));
   return new CompSet(`${hotel.name} Comp (RGI ${targetRGI})`, series);
 }
 // Example: comp set that’s ~5% weaker than you (RGI ~105 if you hold):
 // const compFFI = compFromTargetRGI(fairfield, 105);
 
 
-// Channel mix (% of revenue)
+// Channel mix (% of revenue) with net ADR and acquisition cost per booking
 function channelMix(byChannel, totalRev) {
-  return Object.fromEntries(
-    Object.entries(byChannel).map(([ch, rev]) => [ch, { share: rev / totalRev, revenue: rev }])
-  );
+  return Object.fromEntries(Object.entries(byChannel).map(([ch, v]) => [ch, {
+    share: v.revenue / totalRev, revenue: v.revenue, nights: v.nights, bookings: Math.round(v.bookings * 100) / 100, net: v.net, adr: v.adr, netAdr: v.netAdr,
+    cost: v.cost, costPct: v.revenue ? v.cost / v.revenue : 0, acquisitionCost: v.acquisitionCost,
+  }]));
 }
-const ffiMix = channelMix(ffi.byChannel, ffi.revenue);
-const tpsMix = channelMix(tps.byChannel, tps.revenue);
 
-// Flow-through demo: run a tiny "what-if" variant and compare ΔGOP / ΔRev
-function runVariant() {
-  // Clone hotels then add extra long-stay base to TPS (example)
-  const H1 = cloneHotel(townePlace); // TPS
-  const H2 = cloneHotel(fairfield);  // FFI
+//////////////////////// SCENARIOS (what-if) ////////////////////////
+// A scenario is { name, ops: [{ op, ...args }] } applied in order to a cloned portfolio.
+// `hotel` is a portfolio code; channelCost / compStrength / cancelAccount without one hit every hotel.
+const SCENARIO_OPS = {
+  // { hotel, ...addStay options }
+  addStay: (p, { hotel, ...stay }) => p.member(hotel).hotel.addStay(stay),
+  // Reprice live reservations arriving from..to by pct (0.05 = +5%) and/or delta dollars,
+  // optionally only one segment / channel / account
+  changeRate: (p, { hotel, pct = 0, delta = 0, from, to, segment, channel, account }) => {
+    const h = p.member(hotel).hotel;
+    const arrivals = new Set(h.datesBetween(from, to));
+    const changed = h.reservations.filter((r) => OTB_STATUSES.includes(r.status) && r.status !== "checked-out" && arrivals.has(r.arrival) &&
+      (segment == null || r.segment === segment) && (channel == null || r.channel === channel) && (account == null || r.account === account));
+    for (const r of changed) h.modify(r.id, { rate: r.rate * (1 + pct) + delta });
+    return { repriced: changed.length };
+  },
+  // { hotel?, channel, take } e.g. { channel: "OTA", take: 0.18 }, or { channel, model } with a
+  // CHANNEL_COST model, e.g. { channel: "GDS", model: { pct: 0.1, perBooking: 12 } }
+  channelCost: (p, { hotel, channel, take, model = take }) => {
+    channelCostModel(model, `channelCost ${channel}`);
+    for (const m of hotel ? [p.member(hotel)] : p.members) {
+      m.hotel.channelCosts[channel] = model;
+      m.hotel.recompute();
+    }
+  },
+  // { hotel?, occ = 1, adr = 1 } scales the comp set(s)
+  compStrength: (p, { hotel, occ = 1, adr = 1 }) => {
+    for (const m of hotel ? [p.member(hotel)] : p.members) if (m.comp) m.comp = m.comp.scaled({ occ, adr });
+  },
+  // { hotel?, account } cancels the account's live reservations (cancel fees apply)
+  cancelAccount: (p, { hotel, account }) => {
+    let cancelled = 0;
+    for (const m of hotel ? [p.member(hotel)] : p.members) {
+      for (const r of m.hotel.reservations.filter((x) => x.account === account && (x.status === "tentative" || x.status === "definite"))) {
+        m.hotel.cancel(r.id, { reason: "scenario: account lost" });
+        cancelled++;
+      }
+    }
+    return { cancelled };
+  },
+};
 
-  // Add 6 more crew rooms for 30 nights at TPS at $118
-  H1.addStay({ day: 0, nights: 30, rate: 118, roomsCount: 6, segment: "Crew", channel: "LNR", account: "GridBuild JV", isGroup: true });
+function clonePortfolio(portfolio) {
+  const copy = new Portfolio(portfolio.name);
+  for (const m of portfolio.members) copy.add(cloneHotel(m.hotel), { code: m.code, comp: m.comp, brand: m.brand, market: m.market });
+  return copy;
+}
 
-  const baseFFI = fairfield.metrics();
-  const baseTPS = townePlace.metrics();
-  const varFFI = H2.metrics();
-  const varTPS = H1.metrics();
+// Clone the portfolio and apply the scenario's ops; returns { name, portfolio, results } (one result per op)
+function runScenario(portfolio, { name, ops = [] }) {
+  const p = clonePortfolio(portfolio);
+  const results = ops.map(({ op, ...args }) => {
+    if (!SCENARIO_OPS[op]) throw new TypeError(`scenario ${name}: unknown op "${op}" (use ${Object.keys(SCENARIO_OPS).join(", ")})`);
+    return { op, result: SCENARIO_OPS[op](p, args) ?? null };
+  });
+  return { name, portfolio: p, results };
+}
 
-  const baseRev = baseFFI.revenue + baseTPS.revenue;
-  const baseGOP = baseFFI.gop + baseTPS.gop;
-  const varRev  = varFFI.revenue + varTPS.revenue;
-  const varGOP  = varFFI.gop + varTPS.gop;
+// Existing business the variant lost vs base: room nights / revenue of base reservations that are
+// cancelled or shortened in the variant, plus new turnaways (denied room nights)
+function displacement(base, variant, dates) {
+  const inRange = new Set(dates);
+  const liveNights = (r) => (r && OTB_STATUSES.includes(r.status)
+    ? range(r.nights).filter((i) => inRange.has(addDays(r.arrival, i))).length * r.roomsCount : 0);
+  const out = { nights: 0, revenue: 0, turnedAway: 0 };
+  for (const r of base.reservations) {
+    const lost = liveNights(r) - liveNights(variant.reservations.find((x) => x.id === r.id));
+    if (lost > 0) { out.nights += lost; out.revenue += lost * r.rate; }
+  }
+  for (const d of variant.denials.slice(base.denials.length)) out.turnedAway += d.rooms * d.nights;
+  return out;
+}
 
-  const dRev = varRev - baseRev;
-  const dGOP = varGOP - baseGOP;
-  const flowThrough = dRev !== 0 ? dGOP / dRev : 0;
+// Compare any number of scenarios against the base portfolio over stay dates from..to.
+// Rows: { name, revenue, gop, rgi, dRev, dGOP, flowThrough, dRgi, displaced, results,
+//         byHotel: { code -> { dRev, dGOP, flowThrough, rgi, dRgi, byDept, displaced } } }
+function compareScenarios(portfolio, scenarios, { from, to } = {}) {
+  const base = portfolio.metrics({ from, to });
+  const baseByCode = Object.fromEntries(portfolio.members.map((m) => [m.code, portfolio.metrics({ from, to, codes: [m.code] })]));
+  return scenarios.map((scenario) => {
+    const { name, portfolio: p, results } = runScenario(portfolio, scenario);
+    const v = p.metrics({ from, to });
+    const displaced = { nights: 0, revenue: 0, turnedAway: 0 };
+    // Members with no night in from..to (as clipped by metrics) are left out, as in metrics
+    const byHotel = Object.fromEntries(p.members.filter((m) => baseByCode[m.code].byHotel[m.code]).map((m) => {
+      const b = baseByCode[m.code];
+      const hv = p.metrics({ from, to, codes: [m.code] });
+      const baseHotel = portfolio.member(m.code).hotel;
+      const d = displacement(baseHotel, m.hotel, baseHotel.datesBetween(...baseHotel.clipRange(from, to)));
+      for (const k of Object.keys(displaced)) displaced[k] += d[k];
+      const ft = pnlFlowThrough(b.byHotel[m.code], hv.byHotel[m.code]);
+      return [m.code, { dRev: ft.dRev, dGOP: ft.dGOP, flowThrough: ft.flowThrough, rgi: hv.rgi, dRgi: hv.rgi - b.rgi, byDept: ft.byDept, displaced: d }];
+    }));
+    const dRev = v.revenue - base.revenue;
+    const dGOP = v.gop - base.gop;
+    return {
+      name, revenue: v.revenue, gop: v.gop, rgi: v.rgi,
+      dRev, dGOP, flowThrough: dRev ? dGOP / dRev : 0, dRgi: v.rgi - base.rgi,
+      displaced, results, byHotel,
+    };
+  });
+}
 
-  return { baseRev, baseGOP, varRev, varGOP, dRev, dGOP, flowThrough };
+// Flow-through between two metrics() results: overall ΔGOP / ΔRevenue plus each department's
+// Δprofit and its share of the revenue change
+function pnlFlowThrough(base, variant) {
+  const dRev = variant.pnl.totalRevenue - base.pnl.totalRevenue;
+  const dGOP = variant.gop - base.gop;
+  const byDept = Object.fromEntries(Object.keys(base.pnl.departments).map((k) => {
+    const dProfit = variant.pnl.departments[k].profit - base.pnl.departments[k].profit;
+    return [k, { dProfit, flowThrough: dRev ? dProfit / dRev : 0 }];
+  }));
+  const dUndistributed = variant.pnl.undistributed.total - base.pnl.undistributed.total;
+  return { dRev, dGOP, flowThrough: dRev ? dGOP / dRev : 0, byDept, dUndistributed };
 }
 function cloneHotel(h) {
-  const copy = new Hotel(h.name, h.rooms, h.flag);
+  const copy = new Hotel(h.name, h.rooms, h.flag, { startDate: h.startDate, days: h.days, overbook: h.overbook, onFull: h.onFull, costModel: h.costModel, channelCosts: h.channelCosts, loyalty: h.loyalty });
   copy.calendar = clone(h.calendar);
+  copy.denials = clone(h.denials);
+  copy.reservations = clone(h.reservations);
+  copy.nextReservationId = h.nextReservationId;
+  copy.blocks = h.blocks.map((b) => new GroupBlock(clone(b)));
+  copy.businessDate = h.businessDate;
+  copy.channelNights = clone(h.channelNights);
+  copy.costPerNight = clone(h.costPerNight);
+  copy.auditHistory = clone(h.auditHistory);
+  copy.ratePlans = clone(h.ratePlans);
+  copy.rateCheck = h.rateCheck;
+  copy.validation = h.validation;
+  copy.bar = clone(h.bar);
+  copy.stayControls = clone(h.stayControls);
   return copy;
 }
 
+//////////////////////////// REPORTS ////////////////////////////
+// Structured report (raw numbers, no formatting) + JSON / CSV / HTML renderers.
+
+// Stay dates for a "day" or "month" report containing `date`, or a "range" report over from..to
+const REPORT_PERIODS = { day: "Daily", month: "Monthly", range: "Custom" };
+function reportRange(period, { date, from, to }) {
+  if (period === "range") {
+    if (!from || !to || from > to) throw new RangeError(`report range needs from <= to (got ${from}..${to})`);
+    return { from, to };
+  }
+  if (period === "day") return { from: date, to: date };
+  if (period === "month") {
+    const from = `${date.slice(0, 7)}-01`;
+    return { from, to: addDays(`${toISO(new Date(toDate(from).getTime() + 32 * DAY_MS)).slice(0, 7)}-01`, -1) };
+  }
+  throw new TypeError(`unknown report period "${period}" (use ${Object.keys(REPORT_PERIODS).join(", ")})`);
+}
+
+// { title, period: { kind, from, to }, kpis, channelMix, loyalty, topAccounts, pace, pipeline: { summary, funnel, weighted }, flowThrough }
+// Hotels report over the part of from..to inside their horizon (and are left out when there is none).
+// scenarioRows: compareScenarios() output for the flow-through table; paceTargets: { code -> weekly targets }.
+function buildReport({ portfolio, pipeline = null, accounts = null, scenarioRows = [], paceTargets = {} }, {
+  title = portfolio.name, period = "month", date = portfolio.members[0].hotel.startDate, from: rangeFrom, to: rangeTo,
+} = {}) {
+  const { from, to } = reportRange(period, { date, from: rangeFrom, to: rangeTo });
+  const kpis = [], channelRows = [], pace = [], loyalty = [];
+  const inRange = {};
+  for (const m of portfolio.members) {
+    const h = m.hotel;
+    const hFrom = from > h.startDate ? from : h.startDate;
+    const hTo = to < h.endDate ? to : h.endDate;
+    if (hFrom > hTo) continue;
+    inRange[m.code] = h;
+    const x = h.metrics(hFrom, hTo);
+    const compRevPAR = m.comp ? m.comp.revparAvg(hFrom, hTo) : null;
+    kpis.push({
+      hotel: m.code, name: h.name, from: hFrom, to: hTo, roomsAvail: x.roomsAvail, sold: x.sold, occupancy: x.occupancy,
+      adr: x.adr, revpar: x.revpar, revenue: x.revenue, netRevenue: x.netRevenue, gop: x.gop, goppar: x.goppar, gopMargin: x.pnl.gopMargin,
+      compRevPAR, rgi: compRevPAR ? RGI(x.revpar, compRevPAR) : null,
+    });
+    for (const [channel, v] of Object.entries(x.revenue ? channelMix(x.byChannel, x.revenue) : {})) channelRows.push({ hotel: m.code, channel, ...v });
+    for (const guests of ["member", "nonMember", "reward"]) {
+      const { nights, revenue, adr, channelCost, pointsCost, contribution, contributionPerNight } = x.loyalty[guests];
+      loyalty.push({ hotel: m.code, guests, nights, revenue, adr, channelCost, pointsCost, contribution, contributionPerNight });
+    }
+    for (const w of h.groupPace({ startDay: hFrom, weeks: WEEKS_AHEAD, weeklyTargets: paceTargets[m.code] ?? [] })) pace.push({ hotel: m.code, ...w });
+  }
+  const all = portfolio.metrics({ codes: Object.keys(inRange), from, to });
+  const leads = pipeline && pipeline.summary();
+  return {
+    title, period: { kind: period, from, to },
+    kpis: [...kpis, {
+      hotel: "ALL", name: portfolio.name, from, to, roomsAvail: all.roomsAvail, sold: all.sold, occupancy: all.occupancy,
+      adr: all.adr, revpar: all.revpar, revenue: all.revenue, netRevenue: all.netRevenue, gop: all.gop, goppar: all.goppar,
+      gopMargin: null, compRevPAR: all.compRevPAR || null, rgi: all.compRevPAR ? all.rgi : null,
+    }],
+    channelMix: channelRows,
+    loyalty,
+    topAccounts: accounts ? accounts.topN(inRange, { asOf: to }).map(({ byHotel, lastYear, yoy, ...a }) => ({ ...a, children: a.children.join("; "), hotels: Object.keys(byHotel).join("+") })) : [],
+    pace,
+    pipeline: pipeline && {
+      summary: { qualified: leads.qualified, won: leads.won, conversion: leads.leadConversionRate, rfp: leads.rfp, lnr: leads.lnr },
+      funnel: pipeline.funnel().stages,
+      weighted: Object.entries(pipeline.weightedPipeline()).map(([month, v]) => ({ month, ...v })),
+    },
+    flowThrough: scenarioRows.map((r) => ({
+      scenario: r.name, dRev: r.dRev, dGOP: r.dGOP, flowThrough: r.flowThrough, dRgi: r.dRgi,
+      displacedNights: r.displaced.nights, displacedRevenue: r.displaced.revenue, turnedAway: r.displaced.turnedAway,
+    })),
+  };
+}
+
+// Flat tables of a report: name -> { columns: [{ key, label, fmt }], rows }
+// fmt ("int" | "money" | "pct" | "idx" | "text") only shapes the HTML; CSV / JSON keep raw values.
+const REPORT_TABLES = {
+  kpis: { rows: (r) => r.kpis, columns: [
+    ["hotel", "Hotel"], ["name", "Name"], ["roomsAvail", "Rooms avail", "int"], ["sold", "Sold", "int"], ["occupancy", "Occ", "pct"],
+    ["adr", "ADR", "money"], ["revpar", "RevPAR", "money"], ["revenue", "Revenue", "money"], ["netRevenue", "Net revenue", "money"],
+    ["gop", "GOP", "money"], ["goppar", "GOPPAR", "money"], ["gopMargin", "GOP %", "pct"], ["compRevPAR", "Comp RevPAR", "money"], ["rgi", "RGI", "idx"],
+  ] },
+  channel_mix: { rows: (r) => r.channelMix, columns: [
+    ["hotel", "Hotel"], ["channel", "Channel"], ["nights", "Nights", "int"], ["bookings", "Bookings", "int"], ["revenue", "Revenue", "money"],
+    ["share", "Share", "pct"], ["net", "Net", "money"], ["adr", "ADR", "money"], ["netAdr", "Net ADR", "money"], ["cost", "Channel cost", "money"],
+    ["costPct", "Cost %", "pct"], ["acquisitionCost", "Cost per booking", "money"],
+  ] },
+  loyalty: { rows: (r) => r.loyalty, columns: [
+    ["hotel", "Hotel"], ["guests", "Guests"], ["nights", "Nights", "int"], ["revenue", "Revenue", "money"], ["adr", "ADR", "money"],
+    ["channelCost", "Channel cost", "money"], ["pointsCost", "Points cost", "money"], ["contribution", "Contribution", "money"],
+    ["contributionPerNight", "Contribution / night", "money"],
+  ] },
+  top_accounts: { rows: (r) => r.topAccounts, columns: [
+    ["rank", "#", "int"], ["account", "Account"], ["hotels", "Hotels"], ["nights", "Nights", "int"], ["revenue", "Revenue", "money"],
+    ["adr", "ADR", "money"], ["commitment", "Commitment", "int"], ["vsCommitment", "vs YTD commitment", "pct"], ["compliance", "Rate compliance", "pct"],
+  ] },
+  group_pace: { rows: (r) => r.pace, columns: [
+    ["hotel", "Hotel"], ["week", "Week", "int"], ["from", "From"], ["to", "To"], ["nightsOTB", "OTB", "int"],
+    ["blockHeld", "Held", "int"], ["target", "Target", "int"], ["paceVsTarget", "vs target", "int"],
+  ] },
+  pipeline_funnel: { rows: (r) => r.pipeline?.funnel ?? [], columns: [["stage", "Stage"], ["reached", "Reached", "int"], ["conversion", "To next stage", "pct"]] },
+  weighted_pipeline: { rows: (r) => r.pipeline?.weighted ?? [], columns: [
+    ["month", "Arrival month"], ["leads", "Leads", "int"], ["revenue", "Revenue", "money"], ["weighted", "Weighted", "money"],
+  ] },
+  flow_through: { rows: (r) => r.flowThrough, columns: [
+    ["scenario", "Scenario"], ["dRev", "Δ Revenue", "money"], ["dGOP", "Δ GOP", "money"], ["flowThrough", "Flow-through", "pct"],
+    ["dRgi", "Δ RGI", "idx"], ["displacedNights", "Displaced nights", "int"], ["displacedRevenue", "Displaced revenue", "money"], ["turnedAway", "Turned away", "int"],
+  ] },
+};
+
+// [key, label, fmt?] tuples -> [{ key, label, fmt }]
+const columnSpecs = (columns) => columns.map(([key, label, fmt = "text"]) => ({ key, label, fmt }));
+
+function reportTables(report) {
+  return Object.fromEntries(Object.entries(REPORT_TABLES).map(([name, t]) => [name, { columns: columnSpecs(t.columns), rows: t.rows(report) }]));
+}
+
+const reportJSON = (report) => JSON.stringify(report, null, 2);
+
+// One table as CSV (header row of column keys; quotes fields holding commas, quotes or newlines)
+function tableCSV({ columns, rows }) {
+  const cell = (v) => {
+    const s = v == null ? "" : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [columns.map((c) => c.key), ...rows.map((row) => columns.map((c) => row[c.key]))].map((r) => r.map(cell).join(",")).join("\n") + "\n";
+}
+
+const escapeHTML = (s) => String(s).replace(/[&<>"']/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[ch]);
+const REPORT_FORMATS = {
+  int: (v) => Math.round(v).toLocaleString("en-US"),
+  money: fmt$,
+  pct: fmtPct,
+  idx: (v) => v.toFixed(1),
+  text: String,
+};
+
+// Self-contained HTML (inline CSS, no scripts): one section per non-empty table
+function reportHTML(report) {
+  const sections = Object.entries(reportTables(report)).filter(([, t]) => t.rows.length).map(([name, t]) => {
+    const head = t.columns.map((c) => `<th>${escapeHTML(c.label)}</th>`).join("");
+    const body = t.rows.map((row) => `<tr>${t.columns.map((c) => {
+      const v = row[c.key];
+      return `<td class="${c.fmt}">${v == null ? "-" : escapeHTML(REPORT_FORMATS[c.fmt](v))}</td>`;
+    }).join("")}</tr>`).join("\n");
+    return `<h2>${escapeHTML(name.replace(/_/g, " "))}</h2>\n<table>\n<tr>${head}</tr>\n${body}\n</table>`;
+  });
+  const { kind, from, to } = report.period;
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><title>${escapeHTML(report.title)}</title>
+<style>
+body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; }
+th { background: #f3f3f3; text-align: left; }
+td.int, td.money, td.pct, td.idx { text-align: right; font-variant-numeric: tabular-nums; }
+</style></head>
+<body>
+<h1>${escapeHTML(report.title)}</h1>
+<p>${REPORT_PERIODS[kind]} report: ${from}${from === to ? "" : ` to ${to}`}</p>
+${sections.join("\n")}
+</body></html>
+`;
+}
+
+// Write report.json, <table>.csv for every table and report.html into `dir`; returns the paths written
+function writeReport(report, dir, { formats = ["json", "csv", "html"] } = {}) {
+  const fs = require("fs");
+  const path = require("path");
+  fs.mkdirSync(dir, { recursive: true });
+  const written = [];
+  const write = (file, text) => { const p = path.join(dir, file); fs.writeFileSync(p, text); written.push(p); };
+  if (formats.includes("json")) write("report.json", reportJSON(report));
+  if (formats.includes("csv")) for (const [name, t] of Object.entries(reportTables(report))) write(`${name}.csv`, tableCSV(t));
+  if (formats.includes("html")) write("report.html", reportHTML(report));
+  return written;
+}
+
+//////////////////////////// CLI ////////////////////////////
+// node mini_sim_hos_8_19_25.js <command> [options]   (no command: the demo output below)
+// Commands run on the SCENARIO SETUP portfolio after the config file's ops and imports.
+// Exit codes: 0 ok, 1 validation error (dates, hotel codes, config, scenario ops, import rows), 2 usage error,
+// 3 internal error (a bug: printed with its stack).
+const CLI_EXIT = { ok: 0, validation: 1, usage: 2, internal: 3 };
+const CLI_USAGE = `usage: node mini_sim_hos_8_19_25.js <command> [options]
+
+commands:
+  metrics             KPIs, channel mix and member vs non-member per hotel and for the selection
+  pace                weekly group pace vs target from --from
+  pipeline            lead funnel + weighted pipeline (leads on the selected hotels; arrivals in --from..--to if given)
+  inspect-day         day-by-day occ / ADR / RevPAR vs comp (RGI, MPI, ARI)
+  compare-scenarios   the config's scenarios (default: the demo what-ifs) vs base
+  import              load --file (CSV or JSON export) into one --hotel; exits 1 on any bad row
+
+options:
+  --config <file>     JSON: { ops: [scenario ops], imports: [{ hotel, file, onError }],
+                      scenarios: [{ name, ops }], paceTargets: { <code>: [weekly targets] } }
+                      (file paths relative to the config)
+  --from, --to <date> stay dates, YYYY-MM-DD (default: the selected hotels' horizon)
+  --hotel <codes>     comma-separated portfolio codes, e.g. FFI,TPS
+  --brand <brand>     --market <market>
+  --format <fmt>      table (default), json or csv
+  --file <path>       import: export to load
+  --on-error <mode>   import: skip (default) or abort
+`;
+const CLI_OPTIONS = {
+  config: { type: "string" }, from: { type: "string" }, to: { type: "string" },
+  hotel: { type: "string" }, brand: { type: "string" }, market: { type: "string" },
+  format: { type: "string", default: "table" }, file: { type: "string" }, "on-error": { type: "string", default: "skip" },
+  help: { type: "boolean", short: "h" },
+};
+const CLI_FORMATS = ["table", "json", "csv"];
+
+// Bad input (dates, hotel codes, config, import file): exits CLI_EXIT.validation with its message only
+class CliInputError extends Error {}
+
+// Run fn, which only reads or applies user input; anything it throws is reported as bad input under `label`
+function asInput(label, fn) {
+  try {
+    return fn();
+  } catch (err) {
+    throw err instanceof CliInputError ? err : new CliInputError(`${label}: ${err.message}`);
+  }
+}
+
+const DAY_COLUMNS = columnSpecs([
+  ["hotel", "Hotel"], ["date", "Date"], ["occ", "Occ", "pct"], ["adr", "ADR", "money"], ["revpar", "RevPAR", "money"],
+  ["compRevPAR", "Comp RevPAR", "money"], ["rgi", "RGI", "idx"], ["mpi", "MPI", "idx"], ["ari", "ARI", "idx"],
+]);
+const PIPELINE_SUMMARY_COLUMNS = columnSpecs([
+  ["leads", "Leads", "int"], ["qualified", "Qualified", "int"], ["won", "Won", "int"], ["conversion", "Lead conversion", "pct"],
+  ["rfpWins", "RFP wins", "int"], ["rfpNights", "RFP nights", "int"], ["lnrWins", "LNR wins", "int"], ["lnrNights", "LNR nights", "int"],
+]);
+const IMPORT_SUMMARY_COLUMNS = columnSpecs([
+  ["hotel", "Hotel"], ["file", "File"], ["rows", "Rows", "int"], ["loaded", "Loaded", "int"], ["errors", "Errors", "int"], ["deniedNights", "Denied nights", "int"],
+]);
+const IMPORT_ERROR_COLUMNS = columnSpecs([["line", "Line", "int"], ["field", "Field"], ["value", "Value"], ["message", "Message"]]);
+
+// Portfolio of the members matching `filter` (same hotel objects); unknown codes or an empty selection throw
+function subPortfolio(portfolio, filter) {
+  for (const code of filter.codes ?? []) portfolio.member(code);
+  const members = portfolio.select(filter);
+  if (!members.length) throw new RangeError(`${portfolio.name}: no hotels match ${JSON.stringify(filter)}`);
+  const view = new Portfolio(portfolio.name);
+  for (const m of members) view.add(m.hotel, m);
+  return view;
+}
+
+// Each command: (ctx) -> { table name -> { columns, rows } }
+// ctx: { portfolio (the selection), from, to, explicitRange, opts, config, paceTargets, configDir }
+const CLI_COMMANDS = {
+  metrics: (ctx) => pickTables(cliReport(ctx), ["kpis", "channel_mix", "loyalty"]),
+  pace: (ctx) => pickTables(cliReport(ctx), ["group_pace"]),
+  pipeline: ({ portfolio: p, from, to, explicitRange }) => {
+    const codes = p.members.map((m) => m.code);
+    const view = Object.assign(Object.create(pipeline), {
+      leads: pipeline.leads.filter((l) => codes.includes(l.property) && (!explicitRange || (l.arrival && l.arrival >= from && l.arrival <= to))),
+    });
+    const s = view.summary();
+    return {
+      summary: { columns: PIPELINE_SUMMARY_COLUMNS, rows: [{
+        leads: view.leads.length, qualified: s.qualified, won: s.won, conversion: s.leadConversionRate,
+        rfpWins: s.rfp.count, rfpNights: s.rfp.roomNights, lnrWins: s.lnr.count, lnrNights: s.lnr.roomNights,
+      }] },
+      ...pickTables(buildReport({ portfolio: p, pipeline: view }, { period: "range", from, to }), ["pipeline_funnel", "weighted_pipeline"]),
+    };
+  },
+  "inspect-day": ({ portfolio: p, from, to }) => ({
+    days: { columns: DAY_COLUMNS, rows: p.members.flatMap((m) => {
+      if (!m.comp) throw new CliInputError(`${m.code}: no comp set to inspect against`);
+      if (from < m.hotel.startDate || to > m.hotel.endDate) throw new CliInputError(`${m.code}: ${from}..${to} is outside the horizon ${m.hotel.startDate}..${m.hotel.endDate}`);
+      return dayRows(m.hotel, m.comp, from, to).map((r) => ({ hotel: m.code, ...r }));
+    }) },
+  }),
+  "compare-scenarios": (ctx) => pickTables(cliReport({ ...ctx, scenarioRows: compareScenarios(ctx.portfolio, ctx.config.scenarios ?? scenarios, { from: ctx.from, to: ctx.to }) }), ["flow_through"]),
+  import: ({ portfolio: p, opts }) => {
+    if (p.members.length !== 1) throw new CliInputError(`import needs exactly one --hotel (got ${p.members.map((m) => m.code).join(", ")})`);
+    if (!opts.file) throw new CliInputError("import needs --file");
+    const [m] = p.members;
+    const text = asInput(`--file ${opts.file}`, () => require("fs").readFileSync(opts.file, "utf8"));
+    const r = importReservations(m.hotel, text, { format: opts.file.toLowerCase().endsWith(".json") ? "json" : "csv", onError: opts["on-error"] });
+    return {
+      import: { columns: IMPORT_SUMMARY_COLUMNS, rows: [{
+        hotel: m.code, file: opts.file, rows: r.rows, loaded: r.loaded.length, errors: r.errors.length, deniedNights: r.denied.reduce((n, d) => n + d.deniedNights, 0),
+      }] },
+      errors: { columns: IMPORT_ERROR_COLUMNS, rows: r.errors },
+    };
+  },
+};
+
+const cliReport = ({ portfolio: p, from, to, paceTargets, scenarioRows = [] }) =>
+  buildReport({ portfolio: p, accounts, scenarioRows, paceTargets }, { period: "range", from, to });
+const pickTables = (report, names) => Object.fromEntries(Object.entries(reportTables(report)).filter(([name]) => names.includes(name)));
+
+// Print tables as console tables, one JSON document ({ name -> rows }) or CSV (a "# name" line before each table)
+function printTables(tables, format) {
+  const entries = Object.entries(tables);
+  if (format === "json") return console.log(JSON.stringify(Object.fromEntries(entries.map(([name, t]) => [name, t.rows])), null, 2));
+  entries.forEach(([name, t], i) => {
+    if (format === "csv") return process.stdout.write(`${i ? "\n" : ""}# ${name}\n${tableCSV(t)}`);
+    console.log(`\n=== ${name.replace(/_/g, " ")} ===`);
+    if (!t.rows.length) return console.log("(none)");
+    console.table(t.rows.map((row) => Object.fromEntries(t.columns.map((c) => [c.label, row[c.key] == null ? "-" : REPORT_FORMATS[c.fmt](row[c.key])]))));
+  });
+}
+
+// Apply the config's ops (on a cloned portfolio) and imports; returns { portfolio, importErrors }
+function loadConfig(config, configDir) {
+  const path = require("path");
+  for (const { name, ops = [] } of config.scenarios ?? []) {
+    for (const { op } of ops) if (!SCENARIO_OPS[op]) throw new CliInputError(`scenario ${name}: unknown op "${op}" (use ${Object.keys(SCENARIO_OPS).join(", ")})`);
+  }
+  const { portfolio: p } = runScenario(portfolio, { name: "config", ops: config.ops ?? [] });
+  const importErrors = [];
+  for (const { hotel, file, onError = "skip" } of config.imports ?? []) {
+    const r = importReservationsFile(p.member(hotel).hotel, path.resolve(configDir, file), { onError });
+    for (const e of r.errors) importErrors.push({ hotel, file, ...e });
+  }
+  return { portfolio: p, importErrors };
+}
+
+// Run one command; returns the process exit code (messages go to stderr)
+function runCli(argv) {
+  let command, opts;
+  try {
+    const { values, positionals } = require("util").parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+    [command] = positionals;
+    opts = values;
+    if (positionals.length > 1) throw new TypeError(`unexpected argument "${positionals[1]}"`);
+  } catch (err) {
+    console.error(`error: ${err.message}\n\n${CLI_USAGE}`);
+    return CLI_EXIT.usage;
+  }
+  if (opts.help || command === "help") { console.log(CLI_USAGE); return CLI_EXIT.ok; }
+  const usageError = !CLI_COMMANDS[command] ? `unknown command "${command ?? ""}"`
+    : !CLI_FORMATS.includes(opts.format) ? `unknown format "${opts.format}" (use ${CLI_FORMATS.join(", ")})`
+    : !["skip", "abort"].includes(opts["on-error"]) ? `unknown --on-error "${opts["on-error"]}" (use skip or abort)`
+    : null;
+  if (usageError) { console.error(`error: ${usageError}\n\n${CLI_USAGE}`); return CLI_EXIT.usage; }
+
+  try {
+    const path = require("path");
+    const config = opts.config ? asInput(`--config ${opts.config}`, () => JSON.parse(require("fs").readFileSync(opts.config, "utf8"))) : {};
+    const { portfolio: base, importErrors } = asInput("config", () => loadConfig(config, opts.config ? path.dirname(opts.config) : "."));
+    for (const e of importErrors) console.error(`${e.hotel} ${e.file} line ${e.line}: ${e.field} ${JSON.stringify(e.value)} ${e.message}`);
+    const filter = { brand: opts.brand, market: opts.market, codes: opts.hotel?.split(",").map((c) => c.trim()) };
+    const p = asInput("--hotel / --brand / --market", () => subPortfolio(base, filter));
+    for (const [name, d] of [["--from", opts.from], ["--to", opts.to]]) {
+      if (d != null && !isISODate(d)) throw new CliInputError(`${name} ${d} is not a YYYY-MM-DD date`);
+    }
+    const from = opts.from ?? p.members.map((m) => m.hotel.startDate).sort()[0];
+    const to = opts.to ?? p.members.map((m) => m.hotel.endDate).sort().at(-1);
+    if (from > to) throw new CliInputError(`--from ${from} is after --to ${to}`);
+    const paceTargets = { FFI: ffiPaceTargets, TPS: tpsPaceTargets, ...config.paceTargets };
+    const tables = CLI_COMMANDS[command]({
+      portfolio: p, from, to, explicitRange: opts.from != null || opts.to != null, opts, config, paceTargets,
+    });
+    printTables(tables, opts.format);
+    const failed = importErrors.length || (command === "import" && tables.errors.rows.length);
+    return failed ? CLI_EXIT.validation : CLI_EXIT.ok;
+  } catch (err) {
+    if (!(err instanceof CliInputError)) {
+      console.error(err.stack);
+      return CLI_EXIT.internal;
+    }
+    console.error(`error: ${err.message}`);
+    return CLI_EXIT.validation;
+  }
+}
+
 //////////////////////////// OUTPUT ////////////////////////////
+// `node mini_sim_hos_8_19_25.js <command> ...` runs that command instead of the demo output below
+if (require.main === module && process.argv.length > 2) process.exit(runCli(process.argv.slice(2)));
+
+// Demo figures (computed only when no command is given)
+const ffi = fairfield.metrics();
+const tps = townePlace.metrics();
+
+// Campus = FFI + TPS market in the portfolio (comp RevPAR blended by keys)
+const campus = portfolio.metrics({ market: "ABQ Campus" });
+const byBrand = portfolio.groupBy("brand");
+const byMarket = portfolio.groupBy("market");
+const sharedAccounts = portfolio.accountProduction().filter((a) => a.hotels > 1);
+
+// Comp set RevPAR
+const ffiCompRevPAR = compFFI.revparAvg();
+const tpsCompRevPAR = compTPS.revparAvg();
+
+// RGI
+const ffiRGI = RGI(ffi.revpar, ffiCompRevPAR);
+const tpsRGI = RGI(tps.revpar, tpsCompRevPAR);
+
+// STR-style benchmarks (MPI / ARI / RGI, rank, fair share)
+const ffiBench = [...compFFI.benchmark(fairfield, { by: "weekpart" }), ...compFFI.benchmark(fairfield)];
+const ffiBenchBySegment = ["Transient", "Group", "Contract"]
+  .map((segment) => ({ ...compFFI.benchmark(fairfield, { segment })[0], key: segment }));
+const tpsBench = compTPS.benchmark(townePlace, { by: "week" });
+
+// Pace (next 4 weeks from the start of the horizon)
+const ffiPace = fairfield.groupPace({ startDay: 0, weeks: WEEKS_AHEAD, weeklyTargets: ffiPaceTargets });
+const tpsPace = townePlace.groupPace({ startDay: 0, weeks: WEEKS_AHEAD, weeklyTargets: tpsPaceTargets });
+
+// Night audit replay: close TPS's first week day by day on a copy (seeded no-shows / early departures),
+// then forecast the next week from the closed nights
+const tpsReplay = cloneHotel(townePlace);
+const tpsAudits = range(7).map(() => tpsReplay.nightAudit({ noShowRate: 0.03, earlyDepartureRate: 0.02 }));
+const tpsReplayForecast = new Forecaster(tpsReplay).forecast(range(7).map((i) => addDays(tpsReplay.businessDate, i)));
+
+// Risk bands: seeded Monte Carlo of the transient patterns on top of each hotel's base books
+const MC_SEED = 42;
+const MC_TRIALS = 100;
+const ffiRisk = monteCarlo(ffiBase, ffiPattern, { trials: MC_TRIALS, seed: MC_SEED, weeklyTargets: ffiPaceTargets });
+const tpsRisk = monteCarlo(tpsBase, tpsPattern, { trials: MC_TRIALS, seed: MC_SEED, weeklyTargets: tpsPaceTargets });
+
+// Lead / RFP / LNR summary
+const salesSummary = pipeline.summary();
+const funnel = pipeline.funnel();
+const winBy = { segment: pipeline.winRates("segment"), type: pipeline.winRates("type"), owner: pipeline.winRates("owner") };
+const weightedPipeline = pipeline.weightedPipeline();
+const leadReconciliation = pipeline.reconcile(portfolio);
+// Displacement check for every open lead on its property's books
+const leadChecks = pipeline.leads
+  .filter((lead) => LEAD_TRANSITIONS[lead.stage]) // still open: won / lost leads are decided
+  .filter((lead) => lead.arrival && addDays(lead.arrival, lead.nights - 1) <= portfolio.member(lead.property).hotel.endDate) // stay within the horizon
+  .map((lead) => ({ lead, ...groupDisplacement(portfolio.member(lead.property).hotel, lead) }));
+
+// Top accounts (by revenue, YTD) per hotel and across the portfolio
+const ffiTop = accounts.topN({ FFI: fairfield }, { n: 5 });
+const tpsTop = accounts.topN({ TPS: townePlace }, { n: 5 });
+const portfolioTop = accounts.topN(portfolio);
+const ffiMix = channelMix(ffi.byChannel, ffi.revenue);
+const tpsMix = channelMix(tps.byChannel, tps.revenue);
+
+const fmtAccount = (a) => ({ account: a.account, nights: a.nights, revenue: fmt$(a.revenue), adr: fmt$(a.adr) });
+const fmtMix = (mix) => Object.fromEntries(Object.entries(mix).map(([k, v]) => [k, {
+  share: fmtPct(v.share), revenue: fmt$(v.revenue), net: fmt$(v.net), adr: fmt$(v.adr), netAdr: fmt$(v.netAdr), costPerBooking: fmt$(v.acquisitionCost),
+}]));
+const fmtCells = (map) => Object.fromEntries(Object.entries(map).map(([k, v]) => [k, { nights: v.nights, revenue: fmt$(v.revenue), net: fmt$(v.net), adr: fmt$(v.adr) }]));
+
 function printBlock(title, m) {
   console.log(`\n=== ${title} ===`);
   console.log("Rooms Avail:", m.roomsAvail);
@@ -570,19 +3368,36 @@ function printBlock(title, m) {
   console.log("RevPAR:", fmt$(m.revpar));
   console.log("Net Revenue (after channel costs):", fmt$(m.netRevenue));
   console.log("Value-add costs (packages):", fmt$(m.valueAddCost)); // <- NEW
-  console.log("GOP:", fmt$(m.gop), " | GOPPAR:", fmt$(m.goppar));
+  console.log("Group attrition penalties:", fmt$(m.attritionRevenue), "| Cancel/no-show fees:", fmt$(m.penaltyRevenue));
+  const d = m.pnl.departments;
+  console.log("Dept profit: Rooms", fmt$(d.rooms.profit), `(${fmtPct(d.rooms.margin)})`, "| Breakfast", fmt$(d.breakfast.profit), "| Undistributed", fmt$(-m.pnl.undistributed.total));
+  console.log("GOP:", fmt$(m.gop), `(${fmtPct(m.pnl.gopMargin)})`, " | GOPPAR:", fmt$(m.goppar), "| After mgmt fees:", fmt$(m.pnl.ebitda));
+  console.log("Denied room nights:", m.deniedNights, "(", fmt$(m.deniedRevenue), ") | Unconstrained Occ:", fmtPct(m.unconstrainedOcc));
+  const l = m.loyalty;
+  console.log("Loyalty: members", fmtPct(l.memberShare), "of paid nights | ADR", fmt$(l.member.adr), "vs non-member", fmt$(l.nonMember.adr),
+    "| contribution / night", fmt$(l.member.contributionPerNight), "vs", fmt$(l.nonMember.contributionPerNight), "| points cost", fmt$(l.pointsCost));
+  console.log("Reward nights:", l.reward.nights, `(${fmt$(l.reward.revenue)} reimbursed)`, "| displaced paid rooms:", l.reward.displacedRooms, `(${fmt$(l.reward.displacementCost)})`);
 }
 
 
 printBlock(fairfield.name, ffi);
 console.log("FFI Comp RevPAR (avg):", fmt$(ffiCompRevPAR), "| RGI:", ffiRGI.toFixed(1));
-console.log("FFI Channel Mix:", Object.fromEntries(Object.entries(ffiMix).map(([k,v])=>[k,{share:fmtPct(v.share), revenue:fmt$(v.revenue)}])));
-console.log("FFI Top Accounts:", ffiTop);
+console.log("FFI Channel Mix:", fmtMix(ffiMix));
+console.log("FFI Top Accounts:", ffiTop.map(fmtAccount));
+console.log("FFI Parent Segments:", fmtCells(ffi.byParentSegment));
+const remappedStays = fairfield.reservations.filter((r) => r.remapped);
+console.log("Lenient validation, remapped to Other:", [
+  ...pipeline.leads.filter((l) => l.remapped).map((l) => `lead ${l.id} segment "${l.remapped.segment}"`),
+  `FFI ${remappedStays.length} stays segment ${[...new Set(remappedStays.map((r) => `"${r.remapped.segment}"`))].join(", ")}`,
+].join(" | "));
 
 printBlock(townePlace.name, tps);
 console.log("TPS Comp RevPAR (avg):", fmt$(tpsCompRevPAR), "| RGI:", tpsRGI.toFixed(1));
-console.log("TPS Channel Mix:", Object.fromEntries(Object.entries(tpsMix).map(([k,v])=>[k,{share:fmtPct(v.share), revenue:fmt$(v.revenue)}])));
-console.log("TPS Top Accounts:", tpsTop);
+console.log("TPS Channel Mix:", fmtMix(tpsMix));
+console.log("TPS Top Accounts:", tpsTop.map(fmtAccount));
+console.log("TPS Parent Segments:", fmtCells(tps.byParentSegment));
+const tpsLos = townePlace.losCostReport();
+console.log("TPS LOS Mix:", Object.fromEntries(tpsLos.tiers.map((t) => [t.tier, { share: fmtPct(t.share), cpor: fmt$(t.cpor), gopparAtTier: fmt$(t.gopparAtTier) }])), "| CPOR:", fmt$(tpsLos.cpor));
 
 console.log("\n--- Group Pace (OTB vs Target, next 4 weeks) ---");
 console.table({ FFI: ffiPace, TPS: tpsPace });
@@ -596,26 +3411,117 @@ console.log({
   rfpWins: { count: ss.rfp.count, roomNights: ss.rfp.roomNights, revenue: fmt$(ss.rfp.revenue) },
   lnrWins: { count: ss.lnr.count, roomNights: ss.lnr.roomNights, revenue: fmt$(ss.lnr.revenue) },
 });
+console.log("Funnel:", funnel.stages.map((st) => `${st.stage} ${st.reached}${st.conversion == null ? "" : ` (${fmtPct(st.conversion)} ->)`}`).join("  "));
+console.log("Cycle days: won", funnel.cycleDays.won?.toFixed(1), "| lost", funnel.cycleDays.lost?.toFixed(1),
+  "| days in stage:", Object.fromEntries(Object.entries(funnel.daysInStage).map(([k, v]) => [k, +v.toFixed(1)])));
+console.log("Lost reasons:", Object.fromEntries(Object.entries(funnel.lostReasons).map(([k, v]) => [k, `${v.count} (${fmt$(v.revenue)})`])));
+for (const [dim, rates] of Object.entries(winBy)) {
+  console.log(`Win rate by ${dim}:`, Object.fromEntries(Object.entries(rates).map(([k, v]) => [k, `${fmtPct(v.winRate)} of ${v.closed}`])));
+}
+console.log("Weighted pipeline by arrival month:", Object.fromEntries(Object.entries(weightedPipeline).map(([k, v]) => [k, { leads: v.leads, revenue: fmt$(v.revenue), weighted: fmt$(v.weighted) }])));
+console.log("Won leads vs books:");
+console.table(Object.fromEntries(leadReconciliation.map((r) => [`${r.id} ${r.account}`, {
+  property: r.property, booked: r.kind ?? "-", lead: fmt$(r.leadRevenue), onBooks: fmt$(r.bookedRevenue), held: fmt$(r.heldRevenue), variance: fmt$(r.variance),
+  production: fmt$(hotelFor(portfolio, r.property).metrics().byAccount[r.account]?.revenue ?? 0),
+}])));
+console.log("Lead displacement (group vs displaced transient):");
+console.table(Object.fromEntries(leadChecks.map((c) => [`${c.lead.id} ${c.lead.account}`, {
+  property: c.lead.property, arrival: c.arrival, roomNights: c.lead.rooms * c.lead.nights,
+  rate: fmt$(c.lead.rate), minRate: fmt$(c.minRate), displacedRooms: Math.round(c.displacedRooms),
+  displacedProfit: fmt$(c.displacedProfit), netGain: fmt$(c.netGain), call: c.recommendation,
+}])));
+
+console.log("\n--- TOP-20 ACCOUNTS (YTD, all hotels; children rolled into parents) ---");
+const pctOrDash = (x) => (x == null ? "-" : fmtPct(x));
+console.table(Object.fromEntries(portfolioTop.map((a) => [`${a.rank} ${a.account}`, {
+  hotels: Object.keys(a.byHotel).join("+"), nights: a.nights, revenue: fmt$(a.revenue), adr: fmt$(a.adr),
+  commitment: a.commitment ?? "-", vsYtdCommitment: pctOrDash(a.vsCommitment), rateCompliance: pctOrDash(a.compliance),
+  belowRate: a.belowRate, yoyRevenue: pctOrDash(a.yoy?.revenue),
+}])));
 
 console.log("\n--- CAMPUS (Combined) ---");
-console.log("Keys:", fairfield.rooms + townePlace.rooms);
+console.log("Keys:", campus.keys);
 console.log("Occupancy:", fmtPct(campus.occupancy));
 console.log("ADR:", fmt$(campus.adr));
 console.log("RevPAR:", fmt$(campus.revpar));
-console.log("Campus Comp RevPAR (blend):", fmt$(campusCompRevPAR), "| RGI:", campusRGI.toFixed(1));
-
-// Flow-through demonstration
-const ft = runVariant();
-console.log("\n--- Flow-through (Variant adds 6 more long-stay TPS rooms) ---");
-console.log({
-  baseRevenue: fmt$(ft.baseRev),
-  baseGOP: fmt$(ft.baseGOP),
-  variantRevenue: fmt$(ft.varRev),
-  variantGOP: fmt$(ft.varGOP),
-  deltaRevenue: fmt$(ft.dRev),
-  deltaGOP: fmt$(ft.dGOP),
-  flowThrough: fmtPct(ft.flowThrough),
+console.log("Campus Comp RevPAR (blend):", fmt$(campus.compRevPAR), "| RGI:", campus.rgi.toFixed(1));
+
+console.log("\n--- COMP BENCHMARK (STR-style) ---");
+const idxOrDash = (x) => (x == null ? "-" : x.toFixed(1));
+const benchTable = (rows) => console.table(Object.fromEntries(rows.map((r) => [r.key, {
+  occ: pctOrDash(r.hotel.occ), compOcc: pctOrDash(r.comp.occ), mpi: idxOrDash(r.mpi),
+  adr: fmt$(r.hotel.adr), compAdr: fmt$(r.comp.adr ?? 0), ari: idxOrDash(r.ari),
+  rgi: idxOrDash(r.rgi), rankRevPAR: r.rank?.revpar ?? "-",
+  fairShare: pctOrDash(r.fairShare), demandShare: pctOrDash(r.demandShare),
+}])));
+console.log("FFI vs", compFFI.name, `(${compFFI.members.length} hotels, ${compFFI.keys} keys)`);
+benchTable(ffiBench);
+console.log("FFI by segment (period):");
+benchTable(ffiBenchBySegment);
+console.log("TPS vs", compTPS.name, "by week:");
+benchTable(tpsBench);
+
+console.log("\n--- PORTFOLIO (by brand / market) ---");
+const portfolioRow = (m) => ({ hotels: m.hotels, keys: m.keys, occ: fmtPct(m.occupancy), adr: fmt$(m.adr), revpar: fmt$(m.revpar), gop: fmt$(m.gop), rgi: m.rgi.toFixed(1) });
+console.table(Object.fromEntries([
+  ...Object.entries(byBrand).map(([k, m]) => [`brand: ${k}`, portfolioRow(m)]),
+  ...Object.entries(byMarket).map(([k, m]) => [`market: ${k}`, portfolioRow(m)]),
+  ["All", portfolioRow(portfolio.metrics())],
+]));
+console.log("ABQFN import:", abqfnImport.loaded.length, "of", abqfnImport.rows, "rows loaded");
+for (const e of abqfnImport.errors) console.log(`  line ${e.line}: ${e.field} ${JSON.stringify(e.value)} ${e.message}`);
+console.log("Shared accounts:", sharedAccounts.map((a) => ({ account: a.account, hotels: Object.keys(a.byHotel).join("+"), revenue: fmt$(a.revenue) })));
+
+// Scenario comparison (flow-through, RGI and displacement vs base)
+const scenarioRows = compareScenarios(portfolio, scenarios);
+const basePortfolio = portfolio.metrics();
+console.log("\n--- Scenarios (vs base portfolio) ---");
+console.log("Base revenue:", fmt$(basePortfolio.revenue), "| Base GOP:", fmt$(basePortfolio.gop), "| RGI:", basePortfolio.rgi.toFixed(1));
+console.table(Object.fromEntries(scenarioRows.map((r) => [r.name, {
+  dRevenue: fmt$(r.dRev), dGOP: fmt$(r.dGOP), flowThrough: fmtPct(r.flowThrough), dRGI: r.dRgi.toFixed(1),
+  displacedNights: r.displaced.nights, displacedRevenue: fmt$(r.displaced.revenue), turnedAway: r.displaced.turnedAway,
+}])));
+const crew = scenarioRows[0].byHotel.TPS;
+console.log("TPS +6 crew by department:", Object.fromEntries(Object.entries(crew.byDept).map(([k, v]) => [k, fmtPct(v.flowThrough)])));
+
+console.log(`\n--- Night audit replay (TPS, first week closed; business date now ${tpsReplay.businessDate}) ---`);
+console.table(Object.fromEntries(tpsAudits.map((a) => [a.date, {
+  sold: a.sold, occ: fmtPct(a.occupancy), adr: fmt$(a.adr), revpar: fmt$(a.revpar),
+  arrivals: a.arrivals, departures: a.departures, noShows: a.noShows, earlyDepartures: a.earlyDepartures,
+  pickupRooms: a.pickup.rooms, otbAheadRooms: a.otbAhead.rooms,
+}])));
+console.log("Forecast next 7 nights (rooms):", Object.fromEntries(tpsReplayForecast.map((f) => [f.date, `${f.total.toFixed(0)} (${f.method})`])));
+
+console.log(`\n--- Monte Carlo (${MC_TRIALS} trials, seed ${MC_SEED}): P10 / P50 / P90 ---`);
+const band = (b, f) => `${f(b.p10)} / ${f(b.p50)} / ${f(b.p90)}`;
+const fmtN = (x) => x.toFixed(0);
+console.table({
+  FFI: { occupancy: band(ffiRisk.bands.occupancy, fmtPct), revpar: band(ffiRisk.bands.revpar, fmt$), gop: band(ffiRisk.bands.gop, fmt$), deniedNights: band(ffiRisk.bands.deniedNights, fmtN) },
+  TPS: { occupancy: band(tpsRisk.bands.occupancy, fmtPct), revpar: band(tpsRisk.bands.revpar, fmt$), gop: band(tpsRisk.bands.gop, fmt$), deniedNights: band(tpsRisk.bands.deniedNights, fmtN) },
 });
+console.log("FFI group pace bands (nights OTB vs target):");
+console.table(ffiRisk.groupPace.map((w) => ({ week: w.week, from: w.from, target: w.target, nightsOTB: band(w.nightsOTB, fmtN) })));
+// Check: with no variance (sd 0, no cancels / no-shows) every trial books exactly the deterministic plan
+for (const [label, base, pattern, m] of [["FFI", ffiBase, ffiPattern, ffi], ["TPS", tpsBase, tpsPattern, tps]]) {
+  const flat = monteCarlo(base, pattern.map((s) => ({ ...s, sd: 0, cancel: 0, noShow: 0 })), { trials: 3, seed: MC_SEED });
+  if (Math.abs(flat.bands.gop.p50 - m.gop) > 0.01) throw new Error(`${label}: sd 0 Monte Carlo P50 GOP ${fmt$(flat.bands.gop.p50)} != deterministic ${fmt$(m.gop)}`);
+}
+console.log("Check: sd 0 trials (no cancels / no-shows) match the deterministic GOP for FFI and TPS");
+
+// RM recommendations vs the current sell pattern (elasticity model; see optimizeBar)
+console.log("\n--- RM Recommendations (BAR + minLOS vs current pattern) ---");
+for (const [label, hotel] of [["FFI", fairfield], ["TPS", townePlace]]) {
+  const rm = optimizeBar(hotel).summary;
+  console.log(label, {
+    revparUplift: fmt$(rm.revparUplift),
+    gopparUplift: fmt$(rm.gopparUplift),
+    minLOSDates: rm.minLOSDates.length,
+  });
+}
+
+// Structured monthly report; set REPORT_DIR to write report.json, one CSV per table and report.html
+const report = buildReport({ portfolio, pipeline, accounts, scenarioRows, paceTargets: { FFI: ffiPaceTargets, TPS: tpsPaceTargets } });
+if (process.env.REPORT_DIR) console.log("\nReport written:", writeReport(report, process.env.REPORT_DIR).join(", "));
 
 /*
 HOW THIS MAPS TO YOUR KPIs
@@ -624,19 +3530,37 @@ ADR = revenue / roomsSold Average Daily Rate
 Occupancy = roomsSold / roomsAvailable
 RevPAR = revenue / roomsAvailable = ADR * Occupancy Revenue Per Available Room
 RGI = (Hotel RevPAR / Comp Set RevPAR) * 100 Revenue Generation Index
+MPI / ARI = (Hotel Occ / Comp Occ) * 100, (Hotel ADR / Comp ADR) * 100 (CompSet.benchmark())  Market Penetration / Average Rate Index
+Fair share = hotel supply / (hotel + comp supply); demand share = hotel sold / (hotel + comp sold)
 Group Pace = weekly group roomnights OTB vs target (see groupPace())
-Lead Conversion = won / qualified (pipeline.summary())
+Lead Conversion = won / qualified (pipeline.summary()); stage-to-stage conversion + cycle time in pipeline.funnel()
+Weighted Pipeline = lead revenue * STAGE_PROBABILITY by arrival month (pipeline.weightedPipeline())
 RFP/LNR Wins = counts & roomnights (pipeline.summary().rfp / .lnr) Request for Proposal  Local Negotiated Rates 
-Top-20 Accounts = calendar.byAccount aggregated & ranked
-Channel Mix = revenue share by channel + commission “take”
-GOP = (net revenue after channel costs) - (variable + fixed costs)  Gross Operating Profit
+Won leads -> books: pipeline.convert() (block or stay on the lead's hotel); pipeline.reconcile() ties lead revenue to production
+Top-20 Accounts = YTD production across hotels by account (parents roll up children), ranked (accounts.topN())
+Rate compliance = account nights at its LNR / nights at hotels where it has an LNR
+Channel Mix = revenue share by channel + channel cost (% take, per-booking, per-night, volume tiers: CHANNEL_COST)
+Net ADR = (gross - channel cost) / room nights; cost of acquisition = channel cost / rooms booked (metrics().byChannel, channelMix())
+GOP = departmental profit (rooms, breakfast, other) - undistributed expenses (USALI-style, see Hotel.pnl())  Gross Operating Profit
 GOPPAR = GOP / roomsAvailable
-Flow-through = ΔGOP / ΔRevenue across scenarios
+Member vs non-member ADR / contribution = metrics().loyalty; points cost = qualifying member revenue * pointsCostPct * tier factor (LOYALTY_PROGRAM)
+Reward nights = REWARD-plan stays at the reimbursement rate; displacement = paid ADR - reimbursement on nights with turnaways
+CPOR by LOS = (housekeeping + supplies + breakfast + utilities) / occupied room nights per LOS tier (losCostReport())
+Flow-through = ΔGOP / ΔRevenue across scenarios (compareScenarios(): also ΔRGI and displaced business)
+Min group rate = rate where group contribution (net of commission, variable cost, + ancillary) = displaced transient profit (groupDisplacement())
+RM uplift = ΔRevPAR / ΔGOPPAR from optimizeBar() BAR + minLOS vs current pattern
 
 TWEAK IDEAS
-- Replace the sell patterns in SCENARIO SETUP with real weekday/weekend patterns.
+- Load real books with importReservationsFile(hotel, "export.csv"); extend IMPORT_CODE_MAP for your PMS codes.
+- Replace the sell patterns in SCENARIO SETUP with real weekday/weekend patterns (mean, sd, cancel, noShow).
+- node mini_sim_hos_8_19_25.js metrics --hotel TPS --from 2025-09-08 --to 2025-09-14 --format csv (see CLI_USAGE).
+- REPORT_DIR=out node mini_sim_hos_8_19_25.js writes the monthly report as JSON / CSV / HTML.
+- Replay more days: tpsReplay.nightAudit({ noShows: [id], earlyDepartureRate }) once per business date; book between audits to see pickup.
+- Change MC_SEED / MC_TRIALS to rerun or tighten the risk bands.
 - Push FFI compression: sellDay({day, sold:+X, rate:+$})
 - Strengthen TPS base: addStay({ day:0, nights:30, rate:118, roomsCount: +N, segment:"Crew", channel:"LNR", isGroup:true })
-- Change comp set strength by adjusting compFFI / compTPS RevPAR.
-- Adjust CHANNEL_COST and COST_MODEL to mirror your property.
+- Change comp set strength by adjusting compFFI members / compTPS occ + ADR.
+- Add your own what-ifs to `scenarios` (ops: addStay, changeRate, channelCost, compStrength, cancelAccount).
+- Set LOYALTY_PROGRAM tierMix / pointsCostPct / rewardReimbursement to your brand's programme; book redemptions with redeemRewardNights().
+- Adjust CHANNEL_COST (per channel: pct, perBooking, perNight, tiers) and COST_MODEL (departmental) to mirror your property.
 */